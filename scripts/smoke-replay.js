@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Replay smoke test: serves the recorded fixture set in fixtures/betsapi and checks the shape
+// of the model, scorelines and odds history responses for its match
+// Usage: npm run smoke:replay
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MATCH_ID = '9000001';
+const STARTUP_TIMEOUT_MS = 15000;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const assertProbabilities = (probabilities, label) => {
+  const values = Object.values(probabilities);
+  assert.ok(values.length > 0, `${label}: no outcomes`);
+  values.forEach(p => assert.ok(p >= 0 && p <= 1, `${label}: probability out of range (${p})`));
+  assert.ok(Math.abs(sum(values) - 1) < 1e-6, `${label}: probabilities sum to ${sum(values)}`);
+};
+
+const checks = {
+  model: (body) => {
+    assert.equal(body.match_id, MATCH_ID);
+    assert.equal(body.model_type, 'statistical');
+    ['1X2', 'HT 1X2'].forEach(market => {
+      assertProbabilities(body.markets[market].probabilities, market);
+      assert.ok(body.markets[market].fair_odds, `${market}: no fair odds`);
+      assert.ok(body.markets[market].odds_range, `${market}: bookmaker odds were not matched`);
+    });
+    assert.ok(Array.isArray(body.markets['Goal Line'].lines), 'Goal Line: no lines');
+    assert.ok(Array.isArray(body.markets['AH'].lines), 'AH: no lines');
+    assert.ok(Array.isArray(body.markets.all_opportunities), 'no all_opportunities list');
+    assertProbabilities(body.halves['HT/FT'].probabilities, 'HT/FT');
+    assertProbabilities(body.halves['HT 1X2'].probabilities, 'halves HT 1X2');
+    assert.ok(body.bookings.Cards, 'no bookings model');
+    assert.ok(body.match_info.standings, 'no standings context');
+    assert.ok(body.match_info.elo, 'no Elo ratings');
+  },
+  scorelines: (body) => {
+    assert.equal(body.match_id, MATCH_ID);
+    assert.equal(body.matrix.length, body.max_goals + 1);
+    assert.ok(Math.abs(sum(body.matrix.flat()) - 1) < 1e-6, 'score matrix does not sum to 1');
+    assert.ok(body.scorelines.length > 0, 'no scorelines');
+    assert.ok(body.scorelines[0].probability >= body.scorelines[1].probability, 'scorelines not sorted');
+    assert.ok(body.markets, 'no markets');
+  },
+  'odds/history': (body) => {
+    assert.equal(body.match_id, MATCH_ID);
+    assert.deepEqual(body.errors, []);
+    assert.ok(body.bookmakers.length > 0, 'no bookmakers');
+    body.bookmakers.forEach(bookmaker => {
+      const series = bookmaker.markets['1X2']?.outcomes.home.series;
+      assert.ok(series?.length > 0, `${bookmaker.name}: no 1X2 price history`);
+      assert.ok(series.every((point, i) => i === 0 || point.time >= series[i - 1].time), `${bookmaker.name}: series not in time order`);
+    });
+  }
+};
+
+const waitForServer = async (baseUrl, server) => {
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`server exited with code ${server.exitCode}`);
+    try {
+      const response = await fetch(`${baseUrl}/api/health`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  throw new Error(`server did not start within ${STARTUP_TIMEOUT_MS} ms`);
+};
+
+const run = async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'betapi-smoke-'));
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  let output = '';
+
+  const server = spawn(process.execPath, ['src/server.js'], {
+    cwd: root,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      BETSAPI_MODE: 'replay',
+      BETSAPI_FIXTURES_DIR: path.join(root, 'fixtures/betsapi'),
+      CACHE_DRIVER: 'memory',
+      LOG_LEVEL: 'warn',
+      RESULTS_FILE: path.join(dataDir, 'results.jsonl'),
+      ELO_FILE: path.join(dataDir, 'elo-history.jsonl'),
+      ODDS_RECORDER_FILE: path.join(dataDir, 'odds-snapshots.jsonl')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  server.stdout.on('data', chunk => { output += chunk; });
+  server.stderr.on('data', chunk => { output += chunk; });
+
+  let failures = 0;
+  try {
+    await waitForServer(baseUrl, server);
+
+    for (const [endpoint, check] of Object.entries(checks)) {
+      const response = await fetch(`${baseUrl}/api/match/${MATCH_ID}/${endpoint}`);
+      const body = await response.json();
+      try {
+        assert.equal(response.status, 200, body.error);
+        check(body);
+        console.log(`ok - /api/match/${MATCH_ID}/${endpoint}`);
+      } catch (error) {
+        failures++;
+        console.log(`not ok - /api/match/${MATCH_ID}/${endpoint}: ${error.message}`);
+      }
+    }
+  } catch (error) {
+    failures++;
+    console.log(`not ok - ${error.message}`);
+  } finally {
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  if (failures > 0) {
+    if (output) console.log(`\nserver output:\n${output}`);
+    process.exit(1);
+  }
+};
+
+run();
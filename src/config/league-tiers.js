@@ -0,0 +1,68 @@
+/**
+ * League Tiers
+ * Single source of truth for which leagues we treat as "top" leagues and how they rank.
+ *
+ * Each entry is matched against the league catalog by league_id when given, otherwise
+ * by exact (case-insensitive) name. `country` and `cc` (flag code) are display values.
+ * Order matters: within a tier, leagues are listed in this order, and /api/leagues/top20
+ * takes the first 20 entries across tiers.
+ *
+ * Override with LEAGUE_TIERS_FILE=path/to/tiers.json (same shape).
+ */
+export default [
+  // ═══════════════════════════════════════════════════════════
+  // TIER 1: Elite European Leagues + Top Competitions
+  // ═══════════════════════════════════════════════════════════
+  { tier: 1, league_id: '94', name: 'England Premier League', country: 'England', cc: 'gb-eng' },
+  { tier: 1, league_id: '38223', name: 'Spain La Liga', country: 'Spain', cc: 'es' },
+  { tier: 1, league_id: '123', name: 'Germany Bundesliga I', country: 'Germany', cc: 'de' },
+  { tier: 1, league_id: '199', name: 'Italy Serie A', country: 'Italy', cc: 'it' },
+  { tier: 1, league_id: '99', name: 'France Ligue 1', country: 'France', cc: 'fr' },
+  { tier: 1, league_id: '1040', name: 'UEFA Champions League', country: 'International', cc: 'int' },
+  { tier: 1, league_id: '1067', name: 'UEFA Europa League', country: 'International', cc: 'int' },
+
+  // ═══════════════════════════════════════════════════════════
+  // TIER 2: Major European Leagues
+  // ═══════════════════════════════════════════════════════════
+  { tier: 2, league_id: '880', name: 'England Championship', country: 'England', cc: 'gb-eng' },
+  { tier: 2, league_id: '172', name: 'Portugal Primeira Liga', country: 'Portugal', cc: 'pt' },
+  { tier: 2, league_id: '24792', name: 'Holland Eredivisie', country: 'Netherlands', cc: 'nl' },
+  { tier: 2, league_id: '39111', name: 'Türkiye Super Lig', country: 'Turkey', cc: 'tr' },
+  { tier: 2, league_id: '901', name: 'Scotland Premiership', country: 'Scotland', cc: 'gb-sct' },
+  { tier: 2, league_id: '95', name: 'Belgium First Division A', country: 'Belgium', cc: 'be' },
+  { tier: 2, league_id: '34541', name: 'UEFA Conference League', country: 'International', cc: 'int' },
+
+  // ═══════════════════════════════════════════════════════════
+  // TIER 3: Competitive European + Top South America
+  // ═══════════════════════════════════════════════════════════
+  { tier: 3, league_id: '155', name: 'Brazil Serie A', country: 'Brazil', cc: 'br' },
+  { tier: 3, league_id: '166', name: 'Austria Bundesliga', country: 'Austria', cc: 'at' },
+  { tier: 3, league_id: '26549', name: 'Argentina Liga Profesional', country: 'Argentina', cc: 'ar' },
+  { tier: 3, league_id: '3514', name: 'Copa Libertadores', country: 'International', cc: 'int' },
+  { tier: 3, league_id: '125', name: 'Poland Ekstraklasa', country: 'Poland', cc: 'pl' },
+  { tier: 3, league_id: '126', name: 'Norway Eliteserien', country: 'Norway', cc: 'no' },
+  { tier: 3, league_id: '153', name: 'Russia Premier League', country: 'Russia', cc: 'ru' },
+  { tier: 3, league_id: '910', name: 'Greece Super League 1', country: 'Greece', cc: 'gr' },
+  { tier: 3, league_id: '49', name: 'Denmark Superligaen', country: 'Denmark', cc: 'dk' },
+  { tier: 3, league_id: '100', name: 'Sweden Allsvenskan', country: 'Sweden', cc: 'se' },
+  { tier: 3, league_id: '74', name: 'Switzerland Super League', country: 'Switzerland', cc: 'ch' },
+  { tier: 3, league_id: '39163', name: 'Czechia First League', country: 'Czech Republic', cc: 'cz' },
+
+  // ═══════════════════════════════════════════════════════════
+  // TIER 4: Second Divisions + Other Americas
+  // ═══════════════════════════════════════════════════════════
+  { tier: 4, league_id: '221', name: 'Spain Segunda', country: 'Spain', cc: 'es' },
+  { tier: 4, league_id: '72', name: 'Germany Bundesliga II', country: 'Germany', cc: 'de' },
+  { tier: 4, league_id: '190', name: 'Italy Serie B', country: 'Italy', cc: 'it' },
+  { tier: 4, league_id: '876', name: 'France Ligue 2', country: 'France', cc: 'fr' },
+  { tier: 4, league_id: '242', name: 'USA MLS', country: 'USA', cc: 'us' },
+  { tier: 4, league_id: '32373', name: 'Mexico Liga MX', country: 'Mexico', cc: 'mx' },
+
+  // ═══════════════════════════════════════════════════════════
+  // TIER 5: Middle East, Asia, Others
+  // ═══════════════════════════════════════════════════════════
+  { tier: 5, league_id: '34172', name: 'Saudi Arabia Pro League', country: 'Saudi Arabia', cc: 'sa' },
+  { tier: 5, league_id: '895', name: 'Japan J-League', country: 'Japan', cc: 'jp' },
+  { tier: 5, league_id: '849', name: 'China Super League', country: 'China', cc: 'cn' },
+  { tier: 5, league_id: '8910', name: 'South Korea K League 1', country: 'South Korea', cc: 'kr' }
+];
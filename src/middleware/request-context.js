@@ -0,0 +1,62 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+
+/**
+ * Request Context
+ * Per-request state that follows an Express request into the services it calls,
+ * without threading extra arguments through every method.
+ *
+ * Tracks:
+ *   requestId - taken from an incoming X-Request-Id header or generated,
+ *               echoed back on the response and attached to every log line
+ *   sources   - freshness of every BetsAPI response used while handling the request
+ */
+const storage = new AsyncLocalStorage();
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+export function requestContext(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  storage.run({ requestId, sources: [] }, () => next());
+}
+
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Record the freshness of a piece of upstream data used by this request
+ * @param {Object} source - { endpoint, fetchedAt (ms), stale, reason }
+ */
+export function recordFreshness(source) {
+  const context = getRequestContext();
+  if (context) {
+    context.sources.push(source);
+  }
+}
+
+/**
+ * Freshness marker for a route response:
+ *   stale  - true if any upstream data was served past its soft TTL
+ *   as_of  - fetch time of the oldest upstream data used
+ * Returns an empty object when the request did not touch BetsAPI.
+ */
+export function freshnessMarker() {
+  const context = getRequestContext();
+  if (!context || context.sources.length === 0) return {};
+
+  const oldest = Math.min(...context.sources.map(s => s.fetchedAt));
+  const staleSources = context.sources.filter(s => s.stale);
+
+  return {
+    stale: staleSources.length > 0,
+    as_of: new Date(oldest).toISOString(),
+    ...(staleSources.length > 0 && {
+      stale_reason: staleSources.some(s => s.reason === 'upstream_error') ? 'upstream_error' : 'revalidating'
+    })
+  };
+}
@@ -1,10 +1,16 @@
 import express from 'express';
+import betsAPIService from '../services/betsapi.service.js';
+import oddsRecorderService from '../services/odds-recorder.service.js';
+import resultsService from '../services/results.service.js';
+import leagueRatingsService from '../services/league-ratings.service.js';
+import eloService from '../services/elo.service.js';
+import refereeService from '../services/referee.service.js';
 
 const router = express.Router();
 
 /**
  * GET /api/health
- * Returns API health status
+ * Returns API health status, BetsAPI request metrics and remaining quota
  */
 router.get('/', async (req, res) => {
   const startTime = Date.now();
@@ -15,7 +21,14 @@ router.get('/', async (req, res) => {
     timestamp: new Date().toISOString(),
     latency_ms: Date.now() - startTime,
     environment: process.env.NODE_ENV || 'development',
-    betsapi_configured: !!process.env.BETSAPI_KEY
+    betsapi_configured: !!process.env.BETSAPI_KEY,
+    betsapi_requests: betsAPIService.getMetrics(),
+    betsapi_quota: betsAPIService.getQuotaStatus(),
+    odds_recorder: oddsRecorderService.getStatus(),
+    results_ingestion: resultsService.getStatus(),
+    league_ratings: leagueRatingsService.getStatus(),
+    elo_ratings: eloService.getStatus(),
+    referee_profiles: refereeService.getStatus()
   };
 
   res.json(health);
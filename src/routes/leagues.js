@@ -1,26 +1,115 @@
 import express from 'express';
+import leagueCatalogService from '../services/league-catalog.service.js';
+import leagueTableService from '../services/league-table.service.js';
+import leagueRatingsService from '../services/league-ratings.service.js';
 import betsAPIService from '../services/betsapi.service.js';
+import { freshnessMarker } from '../middleware/request-context.js';
+import logger from '../utils/logger.js';
 
 const router = express.Router();
+const log = logger.child({ route: 'leagues' });
+
+/**
+ * Parse an optional boolean query flag ("1"/"true" or "0"/"false")
+ */
+const parseFlag = (value) => {
+  if (value === undefined) return undefined;
+  return value === '1' || value === 'true';
+};
+
+/**
+ * GET /api/leagues?q=premier&country=england&has_leaguetable=1&has_toplist=1&tier=1&page=1&per_page=50
+ * Searches the full league catalog
+ */
+router.get('/', (req, res) => {
+  const { q, country, tier, page, per_page } = req.query;
+
+  const result = leagueCatalogService.search({
+    q,
+    country,
+    has_leaguetable: parseFlag(req.query.has_leaguetable),
+    has_toplist: parseFlag(req.query.has_toplist),
+    tier: tier !== undefined ? parseInt(tier) : undefined,
+    page,
+    per_page
+  });
+
+  res.json({ ...result, catalog: leagueCatalogService.getStatus() });
+});
+
+/**
+ * GET /api/leagues/tiers
+ * Returns the configured league tiers
+ */
+router.get('/tiers', (req, res) => {
+  res.json({ tiers: leagueCatalogService.getTiers() });
+});
 
 /**
  * GET /api/leagues/top20
- * Returns top 20 football leagues
+ * Returns top 20 football leagues (first 20 tiered leagues from the catalog)
  */
-router.get('/top20', async (req, res, next) => {
-  console.log('\n🌍 ===== ROUTE: GET /api/leagues/top20 =====');
-  console.log(`📥 Request received at: ${new Date().toISOString()}`);
+router.get('/top20', (req, res) => {
+  const leagues = leagueCatalogService.getTopLeagues(20);
+
+  log.debug('top leagues loaded', { count: leagues.length });
 
+  res.json({ leagues, count: leagues.length });
+});
+
+/**
+ * GET /api/leagues/:id/table
+ * Returns the league table (overall, home and away) with a last-5 form column
+ */
+router.get('/:id/table', async (req, res, next) => {
+  try {
+    const table = await leagueTableService.getTable(req.params.id);
+    log.debug('league table loaded', { league_id: req.params.id, teams: table.overall.length });
+    res.json({ ...table, ...freshnessMarker() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/leagues/:id/topscorers?limit=20
+ * Returns the league's top scorers
+ */
+router.get('/:id/topscorers', async (req, res, next) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const scorers = await betsAPIService.getLeagueTopScorers(req.params.id);
+
+    res.json({
+      league_id: req.params.id,
+      scorers: scorers.slice(0, limit),
+      count: Math.min(scorers.length, limit),
+      ...freshnessMarker()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/leagues/:id/ratings
+ * Returns the league's fitted home advantage and every team's attack/defence ratings,
+ * strongest attack first
+ */
+router.get('/:id/ratings', async (req, res, next) => {
   try {
-    const leagues = await betsAPIService.getTopLeagues();
+    const fit = await leagueRatingsService.getFit(req.params.id);
 
-    console.log(`📤 Sending response with ${leagues.length} leagues`);
-    console.log('🌍 =========================================\n');
+    if (!fit) {
+      return res.status(404).json({ error: 'Not enough finished matches to fit this league' });
+    }
 
-    res.json({ leagues, count: leagues.length });
+    res.json({
+      ...fit,
+      teams: Object.values(fit.teams).sort((a, b) => b.attack - a.attack),
+      ...freshnessMarker()
+    });
   } catch (error) {
-    console.error('❌ Error in /api/leagues/top20:', error);
-    console.log('🌍 =========================================\n');
     next(error);
   }
 });
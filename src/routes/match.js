@@ -2,8 +2,21 @@ import express from 'express';
 import betsAPIService from '../services/betsapi.service.js';
 import evCalculatorService from '../services/ev-calculator.service.js';
 import statisticalModelService from '../services/statistical-model.service.js';
+import oddsRecorderService from '../services/odds-recorder.service.js';
+import leagueTableService from '../services/league-table.service.js';
+import leagueRatingsService from '../services/league-ratings.service.js';
+import leagueCatalogService from '../services/league-catalog.service.js';
+import eloService from '../services/elo.service.js';
+import resultsService from '../services/results.service.js';
+import matchStatsService from '../services/match-stats.service.js';
+import refereeService from '../services/referee.service.js';
+import { FixtureMissingError } from '../services/betsapi-fixtures.service.js';
+import { freshnessMarker } from '../middleware/request-context.js';
+import logger from '../utils/logger.js';
+import { parseList, parseDate } from '../utils/query.js';
 
 const router = express.Router();
+const log = logger.child({ route: 'match' });
 
 /**
  * GET /api/match/:id/summary
@@ -13,7 +26,7 @@ router.get('/:id/summary', async (req, res, next) => {
   try {
     const { id } = req.params;
     const summary = await betsAPIService.getMatchSummary(id);
-    res.json(summary);
+    res.json({ ...summary, ...freshnessMarker() });
   } catch (error) {
     next(error);
   }
@@ -27,7 +40,7 @@ router.get('/:id/details', async (req, res, next) => {
   try {
     const { id } = req.params;
     const details = await betsAPIService.getMatchDetails(id);
-    res.json(details);
+    res.json({ ...details, ...freshnessMarker() });
   } catch (error) {
     next(error);
   }
@@ -41,39 +54,192 @@ router.get('/:id/odds', async (req, res, next) => {
   try {
     const { id } = req.params;
     const odds = await betsAPIService.getMatchOdds(id);
-    res.json(odds);
+    res.json({ ...odds, ...freshnessMarker() });
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * GET /api/match/:id/model
- * Returns fair odds, probabilities, and EV calculations using STATISTICAL MODEL
+ * GET /api/match/:id/odds/history?bookmakers=bet365,pinnacle&markets=1X2,Goal Line
+ * Returns the price time series per bookmaker, market and outcome,
+ * with opening/latest prices, drift and the biggest move
  */
-router.get('/:id/model', async (req, res, next) => {
+router.get('/:id/odds/history', async (req, res, next) => {
   try {
     const { id } = req.params;
+    const bookmakers = parseList(req.query.bookmakers);
+    const markets = parseList(req.query.markets);
 
-    console.log(`\n🎯 ===== STATISTICAL MODEL REQUEST FOR MATCH ${id} =====`);
+    const history = await betsAPIService.getOddsHistory(id, {
+      bookmakers: bookmakers.length > 0 ? bookmakers : null,
+      markets: markets.length > 0 ? markets : null
+    });
 
-    // Step 1: Get match summary to extract team IDs
-    const summary = await betsAPIService.getMatchSummary(id);
-    const homeTeamId = summary.home?.id || summary.match_id; // Fallback
-    const awayTeamId = summary.away?.id || summary.match_id; // Fallback
+    res.json({ ...history, ...freshnessMarker() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/match/:id/odds/snapshots?bookmaker=Bet365&market=1X2&from=&to=&limit=
+ * Returns odds snapshots stored by the background recorder, oldest first.
+ * Only price or line changes are stored, so consecutive snapshots always differ.
+ */
+router.get('/:id/odds/snapshots', (req, res) => {
+  const { id } = req.params;
+  const from = parseDate(req.query.from, 'start');
+  const to = parseDate(req.query.to, 'end');
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from/to must be valid dates' });
+  }
+
+  const result = oddsRecorderService.query({
+    matchId: id,
+    bookmaker: req.query.bookmaker || null,
+    market: req.query.market || null,
+    from,
+    to,
+    limit: req.query.limit
+  });
+
+  res.json({ match_id: id, ...result, recorder: oddsRecorderService.getStatus() });
+});
+
+/**
+ * GET /api/match/:id/lineups
+ * Returns starters, substitutes, formation and positions for both teams
+ */
+router.get('/:id/lineups', async (req, res, next) => {
+  try {
+    const lineups = await betsAPIService.getMatchLineups(req.params.id);
+    res.json({ ...lineups, ...freshnessMarker() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/match/:id/timeline?types=goal,red_card
+ * Returns goals, cards, substitutions and corners by minute
+ */
+router.get('/:id/timeline', async (req, res, next) => {
+  try {
+    const types = parseList(req.query.types);
+    const timeline = await betsAPIService.getMatchTimeline(req.params.id, {
+      types: types.length > 0 ? types : null
+    });
+    res.json({ ...timeline, ...freshnessMarker() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Pre-match model for a fixture: summary, standings, league fit, Elo, recent match stats
+ * and referee context, and the probabilities calculated from them (shared by /model and /scorelines)
+ * @param {Object} options - { bootstrap: false skips the confidence intervals }
+ */
+const buildPrematchModel = async (id, { bootstrap = true } = {}) => {
+  // Step 1: Get match summary to extract team IDs
+  const summary = await betsAPIService.getMatchSummary(id);
+  const homeTeamId = summary.home?.id || summary.match_id; // Fallback
+  const awayTeamId = summary.away?.id || summary.match_id; // Fallback
 
-    console.log(`🏠 Home Team: ${summary.home_team} (ID: ${homeTeamId})`);
-    console.log(`✈️  Away Team: ${summary.away_team} (ID: ${awayTeamId})`);
+  log.info('model requested', {
+    match_id: id,
+    home_team: summary.home_team,
+    home_team_id: homeTeamId,
+    away_team: summary.away_team,
+    away_team_id: awayTeamId
+  });
 
-    // Step 2: Get historical data (H2H + team form)
-    const historyData = await betsAPIService.getEventHistory(id);
+  // Step 2: Get historical data (H2H + team form)
+  const historyData = await betsAPIService.getEventHistory(id);
 
-    // Step 3: Calculate statistical probabilities
-    const statisticalProbabilities = await statisticalModelService.calculateProbabilities(
-      historyData,
-      homeTeamId,
-      awayTeamId
-    );
+  // Step 2b: Standings context (position and points gap), when the league has a table
+  let standings = null;
+  const leagueId = summary.league?.league_id;
+  if (leagueId && leagueCatalogService.getLeague(leagueId)?.has_leaguetable !== false) {
+    try {
+      standings = await leagueTableService.getMatchContext(leagueId, homeTeamId, awayTeamId);
+    } catch (error) {
+      if (error instanceof FixtureMissingError) throw error;
+      log.warn('standings unavailable', { match_id: id, league_id: leagueId, error: error.message });
+    }
+  }
+
+  // Step 2c: League-fitted ratings and home advantage
+  let leagueFit = null;
+  if (leagueId) {
+    const fit = await leagueRatingsService.getFit(leagueId);
+    if (fit) {
+      const fitted = leagueRatingsService.expectedGoals(fit, homeTeamId, awayTeamId);
+      leagueFit = {
+        league_id: fit.league_id,
+        fitted_at: fit.fitted_at,
+        matches: fit.matches,
+        home_advantage: fit.home_advantage,
+        expected_goals: fitted ? { home: fitted.home, away: fitted.away } : null,
+        home_rating: fitted?.home_rating || null,
+        away_rating: fitted?.away_rating || null
+      };
+    }
+  }
+
+  // Step 2d: Elo ratings (teams without a rating yet get their league's seed)
+  const elo = eloService.getMatchRatings(homeTeamId, awayTeamId, leagueId);
+
+  // Step 2e: Recent per-match stats (corners, shots, cards, ...) for the stats model
+  const matchStats = await matchStatsService.getMatchStats(historyData, homeTeamId, awayTeamId);
+
+  // Step 2f: Referee tendencies for the bookings model (neutral until one is appointed)
+  const referee = refereeService.getBookingFactors(summary.referee);
+
+  // Step 3: Calculate statistical probabilities
+  const probabilities = await statisticalModelService.calculateProbabilities(
+    historyData,
+    homeTeamId,
+    awayTeamId,
+    { standings, leagueFit, elo, halfTimeResults: leagueId ? resultsService.all(leagueId) : [], matchStats, referee, bootstrap }
+  );
+
+  return { summary, standings, elo, probabilities };
+};
+
+/**
+ * GET /api/match/:id/model?live=auto|true|false
+ * Returns fair odds, probabilities, and EV calculations using STATISTICAL MODEL
+ * Once a match is in play the model is conditioned on the current score, minute
+ * and red cards (live=auto, the default); live=false forces the pre-match model.
+ * `halves` (HT 1X2, HT goal line, HT/FT, highest scoring half) and `bookings` (cards and
+ * booking points with the appointed referee) are pre-match only.
+ */
+router.get('/:id/model', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { summary, standings, elo, probabilities } = await buildPrematchModel(id);
+    let statisticalProbabilities = probabilities;
+
+    // Step 3b: In play, condition on the live state (the summary may be minutes old, so re-check)
+    const liveMode = req.query.live || 'auto';
+    const kickedOff = parseInt(summary.start_time) * 1000 <= Date.now();
+    let liveState = null;
+
+    if (liveMode === 'true' || (liveMode === 'auto' && kickedOff && summary.status !== 'finished')) {
+      liveState = await betsAPIService.getLiveState(id);
+
+      if (liveState.status !== 'live') {
+        if (liveMode === 'true') {
+          return res.status(409).json({ error: `Match is not in play (${liveState.status})`, code: 'MATCH_NOT_LIVE' });
+        }
+        liveState = null;
+      } else {
+        statisticalProbabilities = statisticalModelService.calculateLiveProbabilities(statisticalProbabilities, liveState);
+      }
+    }
 
     // Step 4: Get odds data
     const oddsData = await betsAPIService.getMatchOdds(id);
@@ -81,21 +247,66 @@ router.get('/:id/model', async (req, res, next) => {
     // Step 5: Calculate EV using statistical probabilities
     const evData = evCalculatorService.calculateMatchEV(oddsData, statisticalProbabilities);
 
-    console.log(`🎯 ===================================================\n`);
-
     res.json({
       match_id: id,
       timestamp: new Date().toISOString(),
       min_ev_threshold: evCalculatorService.minEVThreshold,
-      model_type: 'statistical',
+      model_type: liveState ? 'statistical_live' : 'statistical',
       markets: evData,
+      ...(liveState && {
+        live: liveState,
+        remaining_goals: statisticalProbabilities?.['Remaining Goals'] || null
+      }),
+      // Pre-match only: the in-play model does not condition the halves on the live state
+      halves: liveState ? null : statisticalProbabilities?.halves || null,
+      bookings: liveState ? null : statisticalProbabilities?.bookings || null,
       match_info: {
         home_team: summary.home_team,
-        away_team: summary.away_team
-      }
+        away_team: summary.away_team,
+        standings,
+        elo,
+        referee: summary.referee
+      },
+      ...freshnessMarker()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/match/:id/scorelines?top=10
+ * Returns the pre-match correct-score matrix (matrix[home goals][away goals]), the most
+ * likely scorelines, and the markets priced from it: double chance, draw no bet, win to
+ * nil, clean sheets, team totals, exact total goals and winning margin
+ */
+router.get('/:id/scorelines', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const top = Math.min(Math.max(parseInt(req.query.top) || 10, 1), 50);
+    // Point estimates only: the scorelines carry no confidence intervals
+    const { summary, probabilities } = await buildPrematchModel(id, { bootstrap: false });
+
+    if (!probabilities) {
+      return res.status(404).json({ error: 'No history data to model this match' });
+    }
+
+    const { home_expected_goals: homeGoals, away_expected_goals: awayGoals } = probabilities.metadata;
+    const { matrix, scorelines, markets } = statisticalModelService.calculateScorelines(homeGoals, awayGoals);
+
+    res.json({
+      match_id: id,
+      home_team: summary.home_team,
+      away_team: summary.away_team,
+      expected_goals: { home: homeGoals, away: awayGoals },
+      max_goals: statisticalModelService.MAX_GOALS,
+      matrix,
+      scorelines: scorelines.slice(0, top),
+      markets,
+      parameters: probabilities.metadata.parameters,
+      ...freshnessMarker()
     });
   } catch (error) {
-    console.error('❌ Error in statistical model calculation:', error);
     next(error);
   }
 });
@@ -108,7 +319,7 @@ router.get('/:id/h2h', async (req, res, next) => {
   try {
     const { id } = req.params;
     const h2h = await betsAPIService.getH2H(id);
-    res.json(h2h);
+    res.json({ ...h2h, ...freshnessMarker() });
   } catch (error) {
     next(error);
   }
@@ -123,7 +334,7 @@ router.get('/:id/statistics', async (req, res, next) => {
   try {
     const { id } = req.params;
     const statistics = await betsAPIService.getMatchStatistics(id);
-    res.json(statistics);
+    res.json(statistics && { ...statistics, ...freshnessMarker() });
   } catch (error) {
     next(error);
   }
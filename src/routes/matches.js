@@ -1,23 +1,172 @@
 import express from 'express';
+import dayjs from 'dayjs';
 import betsAPIService from '../services/betsapi.service.js';
+import fixturesFeedService from '../services/fixtures-feed.service.js';
+import leagueCatalogService from '../services/league-catalog.service.js';
+import resultsService from '../services/results.service.js';
+import { freshnessMarker } from '../middleware/request-context.js';
+import logger from '../utils/logger.js';
+import { parseList, parseDate } from '../utils/query.js';
 
 const router = express.Router();
+const log = logger.child({ route: 'matches' });
+
+const STATUSES = ['scheduled', 'live', 'finished'];
+
+/**
+ * GET /api/matches?league_id=94,38223&tier=1&from=2025-11-08&to=2025-11-09&status=scheduled&limit=50&cursor=...
+ * Returns one merged, kick-off-sorted fixture list across leagues
+ * - league_id: comma-separated league IDs, and/or tier: comma-separated tiers
+ * - from/to: dates or ISO timestamps (default: today to 7 days ahead)
+ * - status: comma-separated scheduled | live | finished (finished: only the last 7 days)
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const tiers = parseList(req.query.tier);
+    const leagueIds = [...new Set([
+      ...parseList(req.query.league_id),
+      ...(tiers.length > 0 ? leagueCatalogService.getTierLeagueIds(tiers) : [])
+    ])];
+
+    if (leagueIds.length === 0) {
+      return res.status(400).json({ error: 'league_id or tier is required' });
+    }
+
+    const from = parseDate(req.query.from, 'start') ?? dayjs().startOf('day').unix();
+    const to = parseDate(req.query.to, 'end') ?? dayjs.unix(from).add(7, 'day').unix();
+
+    if (isNaN(from) || isNaN(to) || to < from) {
+      return res.status(400).json({ error: 'from/to must be valid dates with from <= to' });
+    }
+
+    const statuses = parseList(req.query.status);
+    const invalidStatus = statuses.find(s => !STATUSES.includes(s));
+    if (invalidStatus) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const feed = await fixturesFeedService.getFixtures({
+      leagueIds,
+      from,
+      to,
+      statuses: statuses.length > 0 ? statuses : null,
+      cursor: req.query.cursor || null,
+      limit
+    });
+
+    log.debug('fixtures feed loaded', { leagues: leagueIds.length, count: feed.count, total: feed.total });
+
+    res.json({
+      ...feed,
+      league_ids: leagueIds,
+      from: new Date(from * 1000).toISOString(),
+      to: new Date(to * 1000).toISOString(),
+      ...freshnessMarker()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/matches/inplay?league_id=94&tier=1
+ * Returns every football match in play with score, minute and red cards,
+ * optionally limited to some leagues
+ */
+router.get('/inplay', async (req, res, next) => {
+  try {
+    const tiers = parseList(req.query.tier);
+    const leagueIds = new Set([
+      ...parseList(req.query.league_id),
+      ...(tiers.length > 0 ? leagueCatalogService.getTierLeagueIds(tiers) : [])
+    ]);
+
+    const inplay = await betsAPIService.getInplayMatches();
+    const matches = leagueIds.size > 0
+      ? inplay.filter(match => leagueIds.has(String(match.league_id)))
+      : inplay;
+
+    log.debug('in-play matches loaded', { total: inplay.length, count: matches.length });
+
+    res.json({ matches, count: matches.length, ...freshnessMarker() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/matches/ended?league_id=94&tier=1&from=2025-11-08&to=2025-11-09
+ * Returns finished matches from BetsAPI with final and half-time scores, most recent first
+ * - from/to: dates or ISO timestamps (default: yesterday and today, at most 7 days)
+ */
+router.get('/ended', async (req, res, next) => {
+  try {
+    const tiers = parseList(req.query.tier);
+    const leagueIds = [...new Set([
+      ...parseList(req.query.league_id),
+      ...(tiers.length > 0 ? leagueCatalogService.getTierLeagueIds(tiers) : [])
+    ])];
+
+    if (leagueIds.length === 0) {
+      return res.status(400).json({ error: 'league_id or tier is required' });
+    }
+
+    const to = parseDate(req.query.to, 'end') ?? dayjs().endOf('day').unix();
+    const from = parseDate(req.query.from, 'start') ?? dayjs.unix(to).subtract(1, 'day').startOf('day').unix();
+
+    if (isNaN(from) || isNaN(to) || to < from) {
+      return res.status(400).json({ error: 'from/to must be valid dates with from <= to' });
+    }
+
+    const ended = await resultsService.getEnded({ leagueIds, from, to });
+
+    res.json({
+      ...ended,
+      league_ids: leagueIds,
+      from: new Date(from * 1000).toISOString(),
+      to: new Date(to * 1000).toISOString(),
+      ...freshnessMarker()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/matches/results?league_id=94&team_id=10&from=&to=&limit=100
+ * Returns finished matches from the local results store (see RESULTS_INGEST_ENABLED),
+ * including half-time score, corners, cards, xG and referee
+ */
+router.get('/results', (req, res) => {
+  const from = parseDate(req.query.from, 'start');
+  const to = parseDate(req.query.to, 'end');
+
+  if (Number.isNaN(from) || Number.isNaN(to)) {
+    return res.status(400).json({ error: 'from/to must be valid dates' });
+  }
+
+  const results = resultsService.query({
+    leagueId: req.query.league_id || null,
+    teamId: req.query.team_id || null,
+    from,
+    to,
+    limit: req.query.limit
+  });
+
+  res.json({ ...results, ingestion: resultsService.getStatus() });
+});
 
 /**
  * GET /api/matches/upcoming?league_id=8&limit=10
  * Returns upcoming matches for a specific league
  */
 router.get('/upcoming', async (req, res, next) => {
-  console.log('\n🎯 ===== ROUTE: GET /api/matches/upcoming =====');
-  console.log(`📥 Request received at: ${new Date().toISOString()}`);
-  console.log(`📥 Query params:`, req.query);
-
   try {
     const { league_id, limit = 10 } = req.query;
 
     if (!league_id) {
-      console.log('❌ Missing league_id parameter');
-      console.log('🎯 ===========================================\n');
       return res.status(400).json({ error: 'league_id is required' });
     }
 
@@ -26,13 +175,10 @@ router.get('/upcoming', async (req, res, next) => {
       parseInt(limit)
     );
 
-    console.log(`📤 Sending response with ${matches.length} matches`);
-    console.log('🎯 ===========================================\n');
+    log.debug('upcoming matches loaded', { league_id, count: matches.length });
 
-    res.json({ matches, count: matches.length, league_id });
+    res.json({ matches, count: matches.length, league_id, ...freshnessMarker() });
   } catch (error) {
-    console.error('❌ Error in /api/matches/upcoming:', error);
-    console.log('🎯 ===========================================\n');
     next(error);
   }
 });
@@ -0,0 +1,37 @@
+import express from 'express';
+import eloService from '../services/elo.service.js';
+import { freshnessMarker } from '../middleware/request-context.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/ratings?league_id=X&limit=100
+ * Returns current Elo ratings, highest first, optionally for one league
+ */
+router.get('/', (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+  const ratings = eloService.list({ leagueId: req.query.league_id || null, limit });
+
+  res.json({
+    league_id: req.query.league_id || null,
+    ...ratings,
+    count: ratings.ratings.length,
+    ...freshnessMarker()
+  });
+});
+
+/**
+ * GET /api/ratings/:teamId
+ * Returns a team's current Elo rating and its rating history, one entry per match
+ */
+router.get('/:teamId', (req, res) => {
+  const team = eloService.getHistory(req.params.teamId);
+
+  if (!team) {
+    return res.status(404).json({ error: 'Team has no rating yet' });
+  }
+
+  res.json({ ...team, ...freshnessMarker() });
+});
+
+export default router;
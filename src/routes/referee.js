@@ -0,0 +1,23 @@
+import express from 'express';
+import refereeService from '../services/referee.service.js';
+import { freshnessMarker } from '../middleware/request-context.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/referee/:name
+ * Returns a referee's profile from the stored results: cards, booking points and
+ * penalties per match, home/away card split, the average across all referees, the
+ * factors used by the bookings model and their most recent matches
+ */
+router.get('/:name', (req, res) => {
+  const profile = refereeService.getProfile(req.params.name);
+
+  if (!profile) {
+    return res.status(404).json({ error: 'No stored matches for this referee' });
+  }
+
+  res.json({ ...profile, ...freshnessMarker() });
+});
+
+export default router;
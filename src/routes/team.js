@@ -0,0 +1,25 @@
+import express from 'express';
+import teamService from '../services/team.service.js';
+import { freshnessMarker } from '../middleware/request-context.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/team/:id?last=10&upcoming=5
+ * Returns team metadata and logo, the last N results with overall/home/away splits
+ * (goals and xG for/against), upcoming fixtures and the model's attack/defence ratings
+ */
+router.get('/:id', async (req, res, next) => {
+  try {
+    const team = await teamService.getTeam(req.params.id, {
+      last: req.query.last,
+      upcoming: Math.min(Math.max(parseInt(req.query.upcoming) || 5, 0), 20)
+    });
+
+    res.json({ ...team, ...freshnessMarker() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
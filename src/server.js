@@ -6,7 +6,18 @@ import dotenv from 'dotenv';
 import leaguesRouter from './routes/leagues.js';
 import matchesRouter from './routes/matches.js';
 import matchRouter from './routes/match.js';
+import teamRouter from './routes/team.js';
+import ratingsRouter from './routes/ratings.js';
+import refereeRouter from './routes/referee.js';
 import healthRouter from './routes/health.js';
+import leagueCatalogService from './services/league-catalog.service.js';
+import oddsRecorderService from './services/odds-recorder.service.js';
+import resultsService from './services/results.service.js';
+import leagueRatingsService from './services/league-ratings.service.js';
+import eloService from './services/elo.service.js';
+import refereeService from './services/referee.service.js';
+import { requestContext } from './middleware/request-context.js';
+import logger from './utils/logger.js';
 
 dotenv.config();
 
@@ -43,10 +54,20 @@ const corsOptions = {
 
 app.use(cors(corsOptions));
 app.use(express.json());
+app.use(requestContext);
 
-// Request logging
+// Request logging - one line per request, written when the response finishes
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    logger.info('request completed', {
+      request_id: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      duration_ms: Date.now() - startedAt
+    });
+  });
   next();
 });
 
@@ -54,13 +75,20 @@ app.use((req, res, next) => {
 app.use('/api/leagues', leaguesRouter);
 app.use('/api/matches', matchesRouter);
 app.use('/api/match', matchRouter);
+app.use('/api/team', teamRouter);
+app.use('/api/ratings', ratingsRouter);
+app.use('/api/referee', refereeRouter);
 app.use('/api/health', healthRouter);
 
 // Error handling
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  logger.error('request failed', { method: req.method, path: req.originalUrl, error: err });
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
   res.status(err.status || 500).json({
     error: err.message || 'Internal server error',
+    ...(err.code && { code: err.code }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 });
@@ -71,28 +99,50 @@ app.use((req, res) => {
 });
 
 app.listen(PORT, () => {
-  console.log('\n╔════════════════════════════════════════════════════╗');
-  console.log('║     🚀 EV BETTING BACKEND SERVER STARTED 🚀       ║');
-  console.log('╚════════════════════════════════════════════════════╝\n');
-  console.log(`🌐 Server running on: http://localhost:${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔑 BetsAPI Key present: ${!!process.env.BETSAPI_KEY}`);
-  if (process.env.BETSAPI_KEY) {
-    console.log(`🔑 BetsAPI Key (first 10): ${process.env.BETSAPI_KEY.substring(0, 10)}...`);
-  }
-  console.log(`🌐 BetsAPI Base URL: ${process.env.BETSAPI_BASE_URL || 'https://api.betsapi.com'}`);
-  console.log(`⏱️  Cache TTL - Leagues: ${process.env.CACHE_LEAGUES_TTL || 3600}s`);
-  console.log(`⏱️  Cache TTL - Matches: ${process.env.CACHE_MATCHES_TTL || 300}s`);
-  console.log(`⏱️  Cache TTL - Odds: ${process.env.CACHE_ODDS_TTL || 60}s`);
-  console.log(`📈 Min EV Threshold: ${process.env.MIN_EV_THRESHOLD || 4.0}%`);
-  console.log('\n📍 Available endpoints:');
-  console.log(`   GET http://localhost:${PORT}/api/health`);
-  console.log(`   GET http://localhost:${PORT}/api/leagues/top20`);
-  console.log(`   GET http://localhost:${PORT}/api/matches/upcoming?league_id=X`);
-  console.log(`   GET http://localhost:${PORT}/api/match/:id/summary`);
-  console.log(`   GET http://localhost:${PORT}/api/match/:id/odds (21+ bookmakers)`);
-  console.log(`   GET http://localhost:${PORT}/api/match/:id/model (with explanations)`);
-  console.log(`   GET http://localhost:${PORT}/api/match/:id/statistics (shots, xG, etc.)`);
-  console.log('\n✅ Server ready to accept requests!\n');
-  console.log('═══════════════════════════════════════════════════════\n');
+  logger.info('server started', {
+    url: `http://localhost:${PORT}`,
+    environment: process.env.NODE_ENV || 'development',
+    betsapi_configured: !!process.env.BETSAPI_KEY,
+    betsapi_base_url: process.env.BETSAPI_BASE_URL || 'https://api.betsapi.com',
+    betsapi_mode: process.env.BETSAPI_MODE || 'live',
+    betsapi_rps: parseFloat(process.env.BETSAPI_RPS || 1),
+    betsapi_daily_quota: parseInt(process.env.BETSAPI_DAILY_QUOTA || 86400),
+    cache_driver: process.env.CACHE_DRIVER || 'memory',
+    min_ev_threshold: parseFloat(process.env.MIN_EV_THRESHOLD || 4.0),
+    log_level: logger.level,
+    endpoints: [
+      'GET /api/health',
+      'GET /api/leagues?q=&country=&has_leaguetable=&has_toplist=&tier=&page=',
+      'GET /api/leagues/tiers',
+      'GET /api/leagues/top20',
+      'GET /api/leagues/:id/table',
+      'GET /api/leagues/:id/topscorers',
+      'GET /api/leagues/:id/ratings',
+      'GET /api/matches?league_id=X,Y&tier=1&from=&to=&status=&cursor=',
+      'GET /api/matches/upcoming?league_id=X',
+      'GET /api/matches/inplay?league_id=X&tier=1',
+      'GET /api/matches/ended?league_id=X&from=&to=',
+      'GET /api/matches/results?league_id=X&team_id=Y',
+      'GET /api/match/:id/summary',
+      'GET /api/match/:id/odds',
+      'GET /api/match/:id/odds/history',
+      'GET /api/match/:id/odds/snapshots',
+      'GET /api/match/:id/model',
+      'GET /api/match/:id/scorelines',
+      'GET /api/match/:id/statistics',
+      'GET /api/match/:id/lineups',
+      'GET /api/match/:id/timeline',
+      'GET /api/team/:id?last=10',
+      'GET /api/ratings?league_id=X',
+      'GET /api/ratings/:teamId',
+      'GET /api/referee/:name'
+    ]
+  });
+
+  leagueCatalogService.startSync();
+  oddsRecorderService.start();
+  resultsService.start();
+  leagueRatingsService.start();
+  eloService.start();
+  refereeService.start();
 });
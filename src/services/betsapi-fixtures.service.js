@@ -0,0 +1,106 @@
+/**
+ * BetsAPI Fixtures Service
+ * Record/replay storage for BetsAPI responses, so the backend can run fully offline
+ *
+ * MODES (BETSAPI_MODE):
+ *   live   - normal operation, fixtures are not touched (default)
+ *   record - live calls, and every successful response is saved as a fixture
+ *   replay - no network at all; every call is served from fixtures and a
+ *            missing fixture is an error
+ *
+ * Fixtures live in BETSAPI_FIXTURES_DIR (default: fixtures/betsapi), one JSON file
+ * per endpoint + params, e.g. fixtures/betsapi/v2_event_odds_summary/event_id=123.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'betsapi-fixtures' });
+
+const MODES = ['live', 'record', 'replay'];
+
+export class FixtureMissingError extends Error {
+  constructor(endpoint, params, filePath) {
+    super(`No BetsAPI fixture for ${endpoint} ${JSON.stringify(params)} (expected ${filePath})`);
+    this.name = 'FixtureMissingError';
+    this.code = 'BETSAPI_FIXTURE_MISSING';
+    this.status = 500;
+  }
+}
+
+class BetsAPIFixturesService {
+  constructor() {
+    const mode = (process.env.BETSAPI_MODE || 'live').toLowerCase();
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown BETSAPI_MODE "${mode}" (expected one of: ${MODES.join(', ')})`);
+    }
+
+    this.mode = mode;
+    this.dir = path.resolve(process.env.BETSAPI_FIXTURES_DIR || 'fixtures/betsapi');
+  }
+
+  get isRecording() {
+    return this.mode === 'record';
+  }
+
+  get isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Stable file path for an endpoint + params combination.
+   * Params are sorted so { a, b } and { b, a } share a fixture.
+   */
+  fixturePath(endpoint, params = {}) {
+    const folder = endpoint.replace(/^\/+/, '').replace(/[^\w]+/g, '_');
+    const name = Object.keys(params)
+      .sort()
+      .map(key => `${key}=${params[key]}`)
+      .join('&')
+      .replace(/[^\w=&.-]+/g, '_') || 'default';
+
+    return path.join(this.dir, folder, `${name}.json`);
+  }
+
+  /**
+   * Load a recorded response - throws FixtureMissingError when there is none
+   */
+  read(endpoint, params) {
+    const filePath = this.fixturePath(endpoint, params);
+
+    if (!fs.existsSync(filePath)) {
+      log.error('replay fixture missing', { endpoint, params, file: filePath });
+      throw new FixtureMissingError(endpoint, params, filePath);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    log.debug('replayed fixture', { endpoint, file: filePath });
+    return fixture.data;
+  }
+
+  /**
+   * Save a live response. Params never include the API token.
+   */
+  write(endpoint, params, data) {
+    const filePath = this.fixturePath(endpoint, params);
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({
+        endpoint,
+        params,
+        recorded_at: new Date().toISOString(),
+        data
+      }, null, 2));
+      log.debug('recorded fixture', { endpoint, file: filePath });
+    } catch (error) {
+      log.warn('could not record fixture', { endpoint, file: filePath, error: error.message });
+    }
+  }
+}
+
+export default new BetsAPIFixturesService();
@@ -1,13 +1,45 @@
 import axios from 'axios';
-import NodeCache from 'node-cache';
 import dotenv from 'dotenv';
+import { createCache } from './cache/index.js';
+import upstreamScheduler from './upstream-scheduler.service.js';
+import betsAPIFixtures, { FixtureMissingError } from './betsapi-fixtures.service.js';
+import { recordFreshness } from '../middleware/request-context.js';
+import logger from '../utils/logger.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
 
 dotenv.config();
 
-const cache = new NodeCache({
-  stdTTL: 300, // Default 5 minutes
-  checkperiod: 60
-});
+const log = logger.child({ service: 'betsapi' });
+
+// Soccer markets in /v2/event/odds/summary: BetsAPI key -> our market key and outcome fields
+const ODDS_MARKETS = [
+  { key: '1_1', market: '1X2', name: 'Match Result', period: 'FT', outcomes: { home: 'home_od', draw: 'draw_od', away: 'away_od' } },
+  { key: '1_2', market: 'AH', name: 'Asian Handicap', period: 'FT', handicap: true, outcomes: { home: 'home_od', away: 'away_od' } },
+  { key: '1_3', market: 'Goal Line', name: 'Goal Line (Asian Total)', period: 'FT', handicap: true, outcomes: { over: 'over_od', under: 'under_od' } },
+  { key: '1_4', market: 'Corners', name: 'Asian Corners', period: 'FT', handicap: true, outcomes: { over: 'over_od', under: 'under_od' } },
+  { key: '1_5', market: 'HT AH', name: '1st Half Asian Handicap', period: '1H', handicap: true, outcomes: { home: 'home_od', away: 'away_od' } },
+  { key: '1_6', market: 'HT Goal Line', name: '1st Half Goal Line', period: '1H', handicap: true, outcomes: { over: 'over_od', under: 'under_od' } },
+  { key: '1_7', market: 'HT Corners', name: '1st Half Asian Corners', period: '1H', handicap: true, outcomes: { over: 'over_od', under: 'under_od' } },
+  { key: '1_8', market: 'HT 1X2', name: '1st Half Result', period: '1H', outcomes: { home: 'home_od', draw: 'draw_od', away: 'away_od' } }
+];
+
+// Lineup position codes (first letter) to position groups
+const POSITION_GROUPS = { G: 'goalkeeper', D: 'defender', M: 'midfielder', F: 'forward', A: 'forward' };
+
+// Timeline event types, matched against BetsAPI's event text in order
+const TIMELINE_TYPES = [
+  ['own_goal', /own goal/i],
+  ['penalty_missed', /(missed|saved) penalty|penalty (missed|saved)/i],
+  ['goal', /\bgoal\b(?!\s*kick)/i],
+  ['red_card', /red card/i],
+  ['yellow_card', /yellow card/i],
+  ['substitution', /substitution/i],
+  ['corner', /corner/i],
+  ['penalty', /penalty/i]
+];
+
+// Pluggable cache backend (memory, file or redis - see CACHE_DRIVER)
+const cache = createCache();
 
 class BetsAPIService {
   constructor() {
@@ -15,183 +47,676 @@ class BetsAPIService {
     this.apiKey = process.env.BETSAPI_KEY;
     this.client = axios.create({
       baseURL: this.baseURL,
-      timeout: 10000
+      timeout: parseInt(process.env.BETSAPI_TIMEOUT_MS || 10000)
     });
+
+    // Pending upstream calls keyed by cacheKey (request coalescing)
+    this.inFlight = new Map();
+    this.metrics = {
+      requests: 0,
+      cacheHits: 0,
+      coalesced: 0,
+      upstreamCalls: 0,
+      upstreamErrors: 0,
+      revalidations: 0,
+      staleServed: 0
+    };
+
+    // Bookmakers fetched in parallel when building odds history
+    this.historyConcurrency = parseInt(process.env.ODDS_HISTORY_CONCURRENCY || 3);
+
+    // How long past its hard TTL an entry is kept as a fallback for upstream failures
+    this.staleIfErrorTTL = parseInt(process.env.CACHE_STALE_IF_ERROR_TTL || 86400);
   }
 
   /**
    * Make a request to BetsAPI with caching
+   * Concurrent identical requests (same cacheKey) share one pending upstream call
+   *
+   * Caching is stale-while-revalidate:
+   *   age < soft TTL          -> served from cache
+   *   soft TTL <= age < hard  -> served from cache immediately, refreshed in the background
+   *   age >= hard TTL or miss -> fetched from BetsAPI; if that fails, any cached copy
+   *                              (kept for CACHE_STALE_IF_ERROR_TTL past the hard TTL) is served instead
+   * With `fresh: true` the cache is not read and nothing stale is served: the response always
+   * comes from BetsAPI (joining an identical in-flight call), and is still cached for others.
+   * Replay mode never touches the cache, so a missing fixture always fails the request.
+   *
+   * @param {number|Object} cacheTTL - seconds, or { soft, hard } in seconds
+   * @param {Object} options - { priority: 'interactive' (default) | 'background', fresh: false (default) }
    */
-  async makeRequest(endpoint, params = {}, cacheTTL = 300) {
+  async makeRequest(endpoint, params = {}, cacheTTL = 300, options = {}) {
     const cacheKey = `${endpoint}_${JSON.stringify(params)}`;
+    const ttl = this.resolveTTL(cacheTTL);
+    this.metrics.requests++;
+
+    log.debug('betsapi request', { endpoint, params });
+
+    // Check cache first (entries written before soft/hard TTLs existed are ignored)
+    const cached = options.fresh || betsAPIFixtures.isReplaying ? null : await cache.get(cacheKey);
+    const entry = cached?.fetchedAt ? cached : null;
+    const age = entry ? (Date.now() - entry.fetchedAt) / 1000 : Infinity;
+
+    if (entry && age < ttl.soft) {
+      this.metrics.cacheHits++;
+      log.debug('cache hit', { endpoint, cache_driver: cache.name, age_s: Math.round(age) });
+      return this.serveEntry(endpoint, entry);
+    }
+
+    if (entry && age < ttl.hard) {
+      this.metrics.cacheHits++;
+      this.metrics.revalidations++;
+      log.debug('serving cached data while revalidating', { endpoint, age_s: Math.round(age) });
+
+      this.fetchCoalesced(endpoint, params, cacheKey, ttl, { priority: 'background' })
+        .catch(error => log.warn('background refresh failed', { endpoint, error: error.message }));
 
-    console.log('\n════════════════════════════════════════');
-    console.log(`🔍 Making request to: ${endpoint}`);
-    console.log(`📦 Parameters:`, JSON.stringify(params, null, 2));
-    console.log(`🔑 API Key present:`, !!this.apiKey);
-    console.log(`🔑 API Key (first 10 chars):`, this.apiKey?.substring(0, 10));
-
-    // Check cache first
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      console.log(`✅ Cache hit: ${endpoint}`);
-      console.log(`📊 Cached data keys:`, Object.keys(cached));
-      console.log('════════════════════════════════════════\n');
-      return cached;
+      return this.serveEntry(endpoint, entry, 'revalidating');
     }
 
+    try {
+      const fresh = await this.fetchCoalesced(endpoint, params, cacheKey, ttl, options);
+      return this.serveEntry(endpoint, fresh);
+    } catch (error) {
+      if (!entry || error instanceof FixtureMissingError) throw error;
+
+      this.metrics.staleServed++;
+      log.warn('upstream failed, serving stale data', {
+        endpoint,
+        as_of: new Date(entry.fetchedAt).toISOString(),
+        error: error.message
+      });
+      return this.serveEntry(endpoint, entry, 'upstream_error');
+    }
+  }
+
+  /**
+   * Normalize a cache TTL into soft/hard seconds
+   */
+  resolveTTL(cacheTTL) {
+    if (typeof cacheTTL === 'number') {
+      return { soft: cacheTTL, hard: cacheTTL };
+    }
+    const soft = cacheTTL.soft ?? 300;
+    return { soft, hard: Math.max(cacheTTL.hard ?? soft, soft) };
+  }
+
+  /**
+   * Return cached data and record its freshness for the current route response
+   */
+  serveEntry(endpoint, entry, staleReason = null) {
+    recordFreshness({
+      endpoint,
+      fetchedAt: entry.fetchedAt,
+      stale: !!staleReason,
+      reason: staleReason
+    });
+    return entry.data;
+  }
+
+  /**
+   * Start an upstream fetch, or join an identical one already on its way to BetsAPI.
+   * The in-flight check and set() run without an await in between,
+   * so only the first caller ever starts the upstream call.
+   */
+  fetchCoalesced(endpoint, params, cacheKey, ttl, options = {}) {
+    const pending = this.inFlight.get(cacheKey);
+    if (pending) {
+      this.metrics.coalesced++;
+      log.debug('coalesced with in-flight request', { endpoint });
+      return pending;
+    }
+
+    const request = this.fetchFromUpstream(endpoint, params, cacheKey, ttl, options)
+      .finally(() => this.inFlight.delete(cacheKey));
+
+    this.inFlight.set(cacheKey, request);
+    return request;
+  }
+
+  /**
+   * Perform the actual BetsAPI call and cache a successful response
+   * Returns the cache entry: { data, fetchedAt }
+   *
+   * In replay mode the response comes from a recorded fixture instead (no network, no quota);
+   * in record mode every successful response is also saved as a fixture.
+   */
+  async fetchFromUpstream(endpoint, params, cacheKey, ttl, options = {}) {
+    // Not cached: replayed data must not be served to a later live run
+    if (betsAPIFixtures.isReplaying) {
+      return { data: betsAPIFixtures.read(endpoint, params), fetchedAt: Date.now() };
+    }
+
+    this.metrics.upstreamCalls++;
+    const startedAt = Date.now();
+
     try {
       const fullParams = {
         token: this.apiKey,
         ...params
       };
 
-      console.log(`🌐 Full URL: ${this.baseURL}${endpoint}`);
-      console.log(`🌐 Full params:`, JSON.stringify(fullParams, null, 2));
+      // Paced, quota-checked and retried by the upstream scheduler
+      const response = await upstreamScheduler.schedule(async () => {
+        const res = await this.client.get(endpoint, {
+          params: fullParams
+        });
+        upstreamScheduler.recordUpstreamHeaders(res.headers);
+
+        // BetsAPI reports throttling in the body with a 200 status
+        if (res.data?.success === 0 && res.data?.error === 'TOO_MANY_REQUESTS') {
+          const error = new Error('BetsAPI rate limit hit (TOO_MANY_REQUESTS)');
+          error.status = 429;
+          throw error;
+        }
 
-      const response = await this.client.get(endpoint, {
-        params: fullParams
-      });
+        return res;
+      }, { priority: options.priority, label: endpoint });
 
-      console.log(`📡 Response status: ${response.status}`);
-      console.log(`📡 Response data keys:`, Object.keys(response.data || {}));
-      console.log(`📡 Response data:`, JSON.stringify(response.data, null, 2));
+      log.info('betsapi call', {
+        endpoint,
+        status: response.status,
+        duration_ms: Date.now() - startedAt
+      });
+      // Full payloads only at debug level - they are large
+      log.debug('betsapi response body', { endpoint, data: response.data });
 
       if (response.data && response.data.success !== false) {
-        cache.set(cacheKey, response.data, cacheTTL);
-        console.log(`✅ API call successful: ${endpoint}`);
-        console.log('════════════════════════════════════════\n');
-        return response.data;
+        const entry = { data: response.data, fetchedAt: Date.now() };
+        await cache.set(cacheKey, entry, ttl.hard + this.staleIfErrorTTL);
+        if (betsAPIFixtures.isRecording) {
+          betsAPIFixtures.write(endpoint, params, response.data);
+        }
+        return entry;
       } else {
-        console.log(`❌ API returned success=false`);
-        console.log(`❌ Error message:`, response.data?.error);
-        console.log('════════════════════════════════════════\n');
         throw new Error(response.data?.error || 'API request failed');
       }
     } catch (error) {
-      console.error(`❌ BetsAPI Error (${endpoint}):`, error.message);
-      console.error(`❌ Error stack:`, error.stack);
+      this.metrics.upstreamErrors++;
+      log.error('betsapi request failed', {
+        endpoint,
+        params,
+        status: error.response?.status,
+        duration_ms: Date.now() - startedAt,
+        error
+      });
       if (error.response) {
-        console.error(`❌ Response status:`, error.response.status);
-        console.error(`❌ Response data:`, JSON.stringify(error.response.data, null, 2));
+        log.debug('betsapi error response', { endpoint, data: error.response.data });
       }
-      console.log('════════════════════════════════════════\n');
       throw error;
     }
   }
 
   /**
-   * Get top leagues for football/soccer (sport_id = 1)
-   * Returns a hardcoded list of top 20 leagues to avoid API pagination issues
-   */
-  async getTopLeagues() {
-    console.log('\n🏆 ========== GET TOP LEAGUES ==========');
-
-    // Hardcoded top 20 leagues (BetsAPI has 2800+ leagues across 28+ pages)
-    // These are the most popular leagues with reliable odds coverage
-    const top20Leagues = [
-      { league_id: '94', name: 'England Premier League', country: 'England', cc: 'gb-eng' },
-      { league_id: '38223', name: 'Spain La Liga', country: 'Spain', cc: 'es' },
-      { league_id: '123', name: 'Germany Bundesliga I', country: 'Germany', cc: 'de' },
-      { league_id: '199', name: 'Italy Serie A', country: 'Italy', cc: 'it' },
-      { league_id: '99', name: 'France Ligue 1', country: 'France', cc: 'fr' },
-      { league_id: '1040', name: 'UEFA Champions League', country: 'International', cc: 'int' },
-      { league_id: '1067', name: 'UEFA Europa League', country: 'International', cc: 'int' },
-      { league_id: '880', name: 'England Championship', country: 'England', cc: 'gb-eng' },
-      { league_id: '172', name: 'Portugal Primeira Liga', country: 'Portugal', cc: 'pt' },
-      { league_id: '24792', name: 'Holland Eredivisie', country: 'Netherlands', cc: 'nl' },
-      { league_id: '39111', name: 'Turkey Super Lig', country: 'Turkey', cc: 'tr' },
-      { league_id: '901', name: 'Scotland Premiership', country: 'Scotland', cc: 'gb-sct' },
-      { league_id: '34541', name: 'UEFA Conference League', country: 'International', cc: 'int' },
-      { league_id: '155', name: 'Brazil Serie A', country: 'Brazil', cc: 'br' },
-      { league_id: '166', name: 'Austria Bundesliga', country: 'Austria', cc: 'at' },
-      { league_id: '26549', name: 'Argentina Liga Profesional', country: 'Argentina', cc: 'ar' },
-      { league_id: '3514', name: 'Copa Libertadores', country: 'International', cc: 'int' },
-      { league_id: '125', name: 'Poland Ekstraklasa', country: 'Poland', cc: 'pl' },
-      { league_id: '126', name: 'Norway Eliteserien', country: 'Norway', cc: 'no' },
-      { league_id: '153', name: 'Russia Premier League', country: 'Russia', cc: 'ru' }
-    ];
-
-    console.log(`✅ Returning ${top20Leagues.length} hardcoded top leagues`);
-
-    const leagues = top20Leagues.map(league => ({
-      league_id: league.league_id,
-      name: league.name,
-      country: league.country,
-      logo: `https://assets.betsapi.com/v2/images/flags/${league.cc}.svg`,
-      season_id: null
-    }));
+   * Remaining BetsAPI quota - lets callers skip optional upstream work instead of erroring
+   */
+  getQuotaStatus() {
+    return upstreamScheduler.getStatus();
+  }
 
-    console.log(`\n📋 TOP 20 LEAGUES:`);
-    console.log(`════════════════════════════════════════════════════════════`);
-    leagues.forEach((league, i) => {
-      const tier = i < 7 ? '⭐⭐⭐' : i < 13 ? '⭐⭐' : '⭐';
-      console.log(`${(i + 1).toString().padStart(2)}. ${league.name.padEnd(35)} ${tier} [${league.country}]`);
-    });
-    console.log(`════════════════════════════════════════════════════════════\n`);
+  hasQuota(priority = 'interactive') {
+    return upstreamScheduler.hasQuota(priority);
+  }
 
-    console.log('🏆 ====================================\n');
-    return leagues;
+  /**
+   * Request counters since startup
+   */
+  getMetrics() {
+    return {
+      requests: this.metrics.requests,
+      cache_hits: this.metrics.cacheHits,
+      coalesced: this.metrics.coalesced,
+      upstream_calls: this.metrics.upstreamCalls,
+      upstream_errors: this.metrics.upstreamErrors,
+      revalidations: this.metrics.revalidations,
+      stale_served: this.metrics.staleServed,
+      in_flight: this.inFlight.size,
+      cache_driver: cache.name,
+      mode: betsAPIFixtures.mode
+    };
+  }
+
+  /**
+   * Normalize a BetsAPI event list entry into our match shape
+   */
+  formatEvent(match) {
+    return {
+      match_id: match.id,
+      home_team: match.home?.name || 'Home Team',
+      away_team: match.away?.name || 'Away Team',
+      home_team_id: match.home?.id || null,
+      away_team_id: match.away?.id || null,
+      start_time: match.time,
+      start_time_formatted: new Date(match.time * 1000).toISOString(),
+      status: match.time_status === '0' ? 'scheduled' : (match.time_status === '1' ? 'live' : 'finished'),
+      home_logo: match.home?.image_id
+        ? `https://assets.betsapi.com/v2/images/teams/${match.home.image_id}.png`
+        : null,
+      away_logo: match.away?.image_id
+        ? `https://assets.betsapi.com/v2/images/teams/${match.away.image_id}.png`
+        : null,
+      league_id: match.league?.id || null,
+      league_name: match.league?.name || ''
+    };
   }
 
   /**
    * Get upcoming matches for a league
    */
   async getUpcomingMatches(leagueId, limit = 10) {
-    console.log('\n⚽ ========== GET UPCOMING MATCHES ==========');
-    console.log(`🔍 League ID: ${leagueId}`);
-    console.log(`🔍 Limit: ${limit}`);
-
     const response = await this.makeRequest('/v3/events/upcoming', {
       sport_id: 1,
       league_id: leagueId
-    }, 300); // Cache for 5 minutes
-
-    console.log(`📊 Response has results:`, !!response.results);
-    console.log(`📊 Total results count:`, response.results?.length || 0);
+    }, { soft: 300, hard: 1800 }); // Fresh for 5 minutes, served while refreshing for 30
 
     if (!response.results || response.results.length === 0) {
-      console.log('⚠️ No results in response, returning empty array');
-      console.log('⚽ ==========================================\n');
+      log.info('no upcoming matches', { league_id: leagueId });
       return [];
     }
 
-    // Log first match to see structure
-    if (response.results[0]) {
-      console.log(`📋 Sample match (first one):`, JSON.stringify(response.results[0], null, 2));
-    }
-
     const matches = response.results
       .slice(0, limit)
-      .map(match => ({
-        match_id: match.id,
-        home_team: match.home?.name || 'Home Team',
-        away_team: match.away?.name || 'Away Team',
-        start_time: match.time,
-        start_time_formatted: new Date(match.time * 1000).toISOString(),
-        status: match.time_status === '0' ? 'scheduled' : (match.time_status === '1' ? 'live' : 'finished'),
-        home_logo: match.home?.image_id
-          ? `https://assets.betsapi.com/v2/images/teams/${match.home.image_id}.png`
-          : null,
-        away_logo: match.away?.image_id
-          ? `https://assets.betsapi.com/v2/images/teams/${match.away.image_id}.png`
-          : null,
-        league_name: match.league?.name || ''
-      }));
-
-    console.log(`📤 Returning ${matches.length} matches`);
-    console.log('⚽ ==========================================\n');
+      .map(match => this.formatEvent(match));
 
     return matches;
   }
 
+  /**
+   * Get upcoming matches for a league (or a team, with `teamId`) across several result pages
+   * BetsAPI returns upcoming events in kick-off order, so paging stops as soon as
+   * a page reaches past `until` (unix seconds) or `maxPages` is hit.
+   */
+  async getUpcomingMatchesPaged(leagueId, { teamId = null, until = null, maxPages = 5, priority = 'interactive' } = {}) {
+    const matches = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await this.makeRequest('/v3/events/upcoming', {
+        sport_id: 1,
+        ...(leagueId && { league_id: leagueId }),
+        ...(teamId && { team_id: teamId }),
+        ...(page > 1 && { page })
+      }, { soft: 300, hard: 1800 }, { priority });
+
+      const results = response.results || [];
+      matches.push(...results.map(match => this.formatEvent(match)));
+
+      const pager = response.pager;
+      totalPages = pager ? Math.ceil(pager.total / pager.per_page) : page;
+
+      const last = results[results.length - 1];
+      if (!last || (until && parseInt(last.time) > until)) break;
+
+      page++;
+    } while (page <= Math.min(totalPages, maxPages));
+
+    return matches;
+  }
+
+  /**
+   * Normalize BetsAPI's live timer, score and red cards
+   * timer: { tm: minute, ts: seconds, tt: "1" while the clock runs, ta: added time, md: 0 first half / 1 second half }
+   */
+  parseLiveState(match) {
+    const [home, away] = (match.ss || '0-0').split('-').map(goals => parseInt(goals) || 0);
+    const timer = match.timer || {};
+
+    return {
+      minute: parseInt(timer.tm ?? 0),
+      second: parseInt(timer.ts ?? 0),
+      added_time: parseInt(timer.ta ?? 0),
+      clock_running: timer.tt === '1' || timer.tt === 1,
+      period: timer.md === 1 || timer.md === '1' ? '2nd half' : (timer.tm !== undefined ? '1st half' : null),
+      score: { home, away },
+      red_cards: {
+        home: parseInt(match.stats?.redcards?.[0] || 0),
+        away: parseInt(match.stats?.redcards?.[1] || 0)
+      }
+    };
+  }
+
+  /**
+   * Get every football match in play, across all result pages
+   */
+  async getInplayMatches({ maxPages = 5 } = {}) {
+    const matches = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await this.makeRequest('/v3/events/inplay', {
+        sport_id: 1,
+        ...(page > 1 && { page })
+      }, { soft: 15, hard: 60 }); // Live scores move fast
+
+      (response.results || []).forEach(match => {
+        matches.push({
+          ...this.formatEvent(match),
+          status: 'live',
+          live: this.parseLiveState(match)
+        });
+      });
+
+      const pager = response.pager;
+      totalPages = pager ? Math.ceil(pager.total / pager.per_page) : page;
+      page++;
+    } while (page <= Math.min(totalPages, maxPages));
+
+    return matches;
+  }
+
+  /**
+   * Current score, minute and red cards for a match
+   * Same endpoint as the summary, read with a short TTL so the live model is never minutes behind.
+   */
+  async getLiveState(matchId) {
+    const response = await this.makeRequest('/v1/event/view', {
+      event_id: matchId
+    }, { soft: 15, hard: 60 });
+
+    const match = response.results?.[0];
+    if (!match) {
+      throw new Error('Match not found');
+    }
+
+    return {
+      match_id: match.id,
+      status: match.time_status === '1' ? 'live' : (match.time_status === '3' ? 'finished' : 'scheduled'),
+      ...this.parseLiveState(match)
+    };
+  }
+
+  /**
+   * Final and half-time score from an event (scores["1"] is the first half, scores["2"] full time)
+   */
+  parseScores(match) {
+    const pair = (entry) => (entry && entry.home !== undefined && entry.home !== ''
+      ? { home: parseInt(entry.home) || 0, away: parseInt(entry.away) || 0 }
+      : null);
+
+    const [home, away] = (match.ss || '').split('-').map(goals => parseInt(goals));
+    return {
+      score: !isNaN(home) && !isNaN(away) ? { home, away } : pair(match.scores?.['2']),
+      ht_score: pair(match.scores?.['1'])
+    };
+  }
+
+  /**
+   * Home/away pair for one BetsAPI stat ("corners": ["5", "3"]), null when not reported
+   */
+  parseStatPair(stats, key, parse = parseInt) {
+    const values = stats?.[key];
+    if (!Array.isArray(values) || values.length < 2) return null;
+    return { home: parse(values[0]) || 0, away: parse(values[1]) || 0 };
+  }
+
+  /**
+   * Get finished matches for a league (or a team, with `teamId`) across several result pages
+   * @param {Object} options - { teamId, day: 'YYYYMMDD' (default: BetsAPI's most recent), maxPages, priority }
+   */
+  async getEndedMatches(leagueId, { teamId = null, day = null, maxPages = 5, priority = 'interactive' } = {}) {
+    const matches = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const response = await this.makeRequest('/v3/events/ended', {
+        sport_id: 1,
+        ...(leagueId && { league_id: leagueId }),
+        ...(teamId && { team_id: teamId }),
+        ...(day && { day }),
+        ...(page > 1 && { page })
+      }, { soft: 600, hard: 3600 }, { priority });
+
+      (response.results || []).forEach(match => {
+        matches.push({
+          ...this.formatEvent(match),
+          status: 'finished',
+          home: { id: match.home?.id || null, name: match.home?.name || 'Home Team', cc: match.home?.cc || null },
+          away: { id: match.away?.id || null, name: match.away?.name || 'Away Team', cc: match.away?.cc || null },
+          ...this.parseScores(match)
+        });
+      });
+
+      const pager = response.pager;
+      totalPages = pager ? Math.ceil(pager.total / pager.per_page) : page;
+      page++;
+    } while (page <= Math.min(totalPages, maxPages));
+
+    return matches;
+  }
+
+  /**
+   * Full result of a finished match: scores, key stats and referee
+   * Finished matches do not change, so the event view is cached for a long time.
+   */
+  async getMatchResult(matchId, options = {}) {
+    const response = await this.makeRequest('/v2/event/view', {
+      event_id: matchId
+    }, { soft: 3600, hard: 86400 }, options);
+
+    const match = response.results?.[0];
+    if (!match) {
+      throw new Error('Match not found');
+    }
+
+    const stats = match.stats;
+    return {
+      match_id: String(match.id),
+      league_id: match.league?.id ? String(match.league.id) : null,
+      league_name: match.league?.name || null,
+      start_time: parseInt(match.time),
+      finished: match.time_status === '3',
+      home: { id: match.home?.id ? String(match.home.id) : null, name: match.home?.name || 'Home Team' },
+      away: { id: match.away?.id ? String(match.away.id) : null, name: match.away?.name || 'Away Team' },
+      ...this.parseScores(match),
+      stats: stats ? {
+        corners: this.parseStatPair(stats, 'corners'),
+        yellow_cards: this.parseStatPair(stats, 'yellowcards'),
+        red_cards: this.parseStatPair(stats, 'redcards'),
+        penalties: this.parseStatPair(stats, 'penalties'),
+        shots: this.parseStatPair(stats, 'goalattempts'),
+        shots_on_target: this.parseStatPair(stats, 'on_target'),
+        offsides: this.parseStatPair(stats, 'offsides'),
+        fouls: this.parseStatPair(stats, 'fouls'),
+        xg: this.parseStatPair(stats, 'xg', parseFloat)
+      } : null,
+      referee: match.extra?.referee?.name || null
+    };
+  }
+
+  /**
+   * Normalize one BetsAPI league table row
+   */
+  formatTableRow(row, index) {
+    const int = (value) => parseInt(value) || 0;
+    const goalsFor = int(row.goalsfor);
+    const goalsAgainst = int(row.goalsagainst);
+
+    return {
+      position: int(row.sort_pos ?? row.pos) || index + 1,
+      team_id: row.team?.id ? String(row.team.id) : null,
+      team: row.team?.name || null,
+      logo: row.team?.image_id
+        ? `https://assets.betsapi.com/v2/images/teams/${row.team.image_id}.png`
+        : null,
+      played: int(row.win) + int(row.draw) + int(row.loss),
+      won: int(row.win),
+      drawn: int(row.draw),
+      lost: int(row.loss),
+      goals_for: goalsFor,
+      goals_against: goalsAgainst,
+      goal_difference: goalsFor - goalsAgainst,
+      points: int(row.points),
+      description: row.description || null
+    };
+  }
+
+  /**
+   * Get the league table: overall, home and away views
+   * Multi-group competitions return one table per group, flattened with a `group` field.
+   */
+  async getLeagueTable(leagueId) {
+    const response = await this.makeRequest('/v3/league/table', {
+      league_id: leagueId
+    }, { soft: 3600, hard: 21600 }); // Tables only move after matches
+
+    const results = response.results || {};
+    const view = (name) => (results[name]?.tables || []).flatMap(table =>
+      (table.rows || []).map((row, i) => ({
+        ...this.formatTableRow(row, i),
+        ...(results[name].tables.length > 1 && { group: table.name || null })
+      }))
+    );
+
+    return {
+      league_id: String(leagueId),
+      season: results.season ? { id: results.season.id || null, name: results.season.name || null } : null,
+      overall: view('overall'),
+      home: view('home'),
+      away: view('away')
+    };
+  }
+
+  /**
+   * Get the league's top scorers
+   */
+  async getLeagueTopScorers(leagueId) {
+    const response = await this.makeRequest('/v1/league/toplist', {
+      league_id: leagueId
+    }, { soft: 3600, hard: 21600 });
+
+    const scorers = response.results?.topgoals || [];
+    return scorers.map((entry, i) => ({
+      rank: i + 1,
+      player_id: entry.player?.id ? String(entry.player.id) : null,
+      player: entry.player?.name || null,
+      team_id: entry.team?.id ? String(entry.team.id) : null,
+      team: entry.team?.name || null,
+      goals: parseInt(entry.goals) || 0,
+      penalties: entry.penalties !== undefined ? parseInt(entry.penalties) || 0 : null,
+      assists: entry.assists !== undefined ? parseInt(entry.assists) || 0 : null,
+      matches: entry.played !== undefined ? parseInt(entry.played) || 0 : null
+    }));
+  }
+
+  /**
+   * Normalize one side of a lineup
+   */
+  formatLineupSide(side, team) {
+    const player = (entry) => ({
+      player_id: entry.player?.id ? String(entry.player.id) : null,
+      name: entry.player?.name || entry.name || null,
+      number: entry.shirtnumber !== undefined && entry.shirtnumber !== '' ? parseInt(entry.shirtnumber) : null,
+      position: entry.pos || entry.position || null,
+      position_group: POSITION_GROUPS[String(entry.pos || entry.position || '').charAt(0).toUpperCase()] || null,
+      country: entry.player?.cc || null
+    });
+
+    return {
+      team_id: team?.id ? String(team.id) : null,
+      team: team?.name || null,
+      formation: side?.formation || null,
+      starters: (side?.startinglineup || []).map(player),
+      substitutes: (side?.substitutes || []).map(player)
+    };
+  }
+
+  /**
+   * Get lineups: starters, substitutes, formation and positions for both teams
+   * Taken from the event view when it carries them, otherwise from /v1/event/lineup.
+   * Sides are always present with the same fields; `available` is false until lineups are out.
+   */
+  async getMatchLineups(matchId) {
+    const view = await this.makeRequest('/v2/event/view', {
+      event_id: matchId
+    }, { soft: 300, hard: 1800 });
+
+    const match = view.results?.[0];
+    if (!match) {
+      throw new Error('Match not found');
+    }
+
+    let lineups = match.lineups || null;
+    if (!lineups?.home?.startinglineup) {
+      const response = await this.makeRequest('/v1/event/lineup', {
+        event_id: matchId
+      }, { soft: 300, hard: 1800 }); // Lineups land about an hour before kick-off
+      lineups = response.results || null;
+    }
+
+    const home = this.formatLineupSide(lineups?.home, match.home);
+    const away = this.formatLineupSide(lineups?.away, match.away);
+
+    return {
+      match_id: String(matchId),
+      available: home.starters.length > 0 || away.starters.length > 0,
+      home,
+      away
+    };
+  }
+
+  /**
+   * Parse one BetsAPI event line ("67' - 2nd Goal - (Alpha FC) - ...") into a timeline entry
+   */
+  parseTimelineEvent(event, homeName, awayName) {
+    const text = String(event.text || '').trim();
+    const match = text.match(/^(\d+)(?:\+(\d+))?'\s*-\s*(.*)$/);
+    if (!match) return null;
+
+    const description = match[3];
+    const type = TIMELINE_TYPES.find(([, pattern]) => pattern.test(description))?.[0] || 'other';
+
+    let team = null;
+    if (homeName && description.includes(homeName)) team = 'home';
+    else if (awayName && description.includes(awayName)) team = 'away';
+
+    return {
+      id: event.id ? String(event.id) : null,
+      minute: parseInt(match[1]),
+      added_time: match[2] ? parseInt(match[2]) : null,
+      type,
+      team,
+      text
+    };
+  }
+
+  /**
+   * Get the match timeline: goals, cards, substitutions and corners by minute
+   */
+  async getMatchTimeline(matchId, { types = null } = {}) {
+    const response = await this.makeRequest('/v2/event/view', {
+      event_id: matchId
+    }, { soft: 60, hard: 600 }); // Timelines grow during the match
+
+    const match = response.results?.[0];
+    if (!match) {
+      throw new Error('Match not found');
+    }
+
+    const events = (match.events || [])
+      .map(event => this.parseTimelineEvent(event, match.home?.name, match.away?.name))
+      .filter(event => event && (!types || types.includes(event.type)))
+      .sort((a, b) => a.minute - b.minute || (a.added_time || 0) - (b.added_time || 0));
+
+    return {
+      match_id: String(matchId),
+      status: match.time_status === '1' ? 'live' : (match.time_status === '3' ? 'finished' : 'scheduled'),
+      home: { id: match.home?.id ? String(match.home.id) : null, name: match.home?.name || null },
+      away: { id: match.away?.id ? String(match.away.id) : null, name: match.away?.name || null },
+      events,
+      count: events.length
+    };
+  }
+
   /**
    * Get match summary
    */
   async getMatchSummary(matchId) {
     const response = await this.makeRequest('/v1/event/view', {
       event_id: matchId
-    }, 180);
+    }, { soft: 180, hard: 900 });
 
     if (!response.results || response.results.length === 0) {
       throw new Error('Match not found');
@@ -222,7 +747,8 @@ class BetsAPIService {
       league: {
         league_id: match.league?.id,
         name: match.league?.name
-      }
+      },
+      referee: match.extra?.referee?.name || null
     };
   }
 
@@ -232,7 +758,7 @@ class BetsAPIService {
   async getMatchDetails(matchId) {
     const response = await this.makeRequest('/v2/event/view', {
       event_id: matchId
-    }, 300);
+    }, { soft: 300, hard: 1800 });
 
     if (!response.results || response.results.length === 0) {
       return {
@@ -255,29 +781,48 @@ class BetsAPIService {
   }
 
   /**
-   * Get odds for a match from multiple bookmakers
+   * Parse a BetsAPI handicap string, keeping multi-line (quarter) handicaps intact.
+   * "2.5" -> line 2.5; "2.5,3.0" -> line 2.75 split across [2.5, 3.0]
    */
-  async getMatchOdds(matchId) {
-    console.log('\n💰 ========== GET MATCH ODDS (MULTI-BOOKMAKER) ==========');
-    console.log(`🔍 Match ID: ${matchId}`);
+  parseHandicap(raw) {
+    if (raw === undefined || raw === null || raw === '') return null;
+
+    const lines = String(raw).split(',').map(part => parseFloat(part)).filter(n => !isNaN(n));
+    if (lines.length === 0) return null;
 
+    return {
+      handicap: String(raw),
+      line: lines.reduce((sum, n) => sum + n, 0) / lines.length,
+      lines
+    };
+  }
+
+  /**
+   * Get odds for a match from multiple bookmakers
+   *
+   * BetsAPI soccer odds summary market keys:
+   *   1_1 Full-time result         1_5 1st half Asian handicap
+   *   1_2 Asian handicap           1_6 1st half goal line
+   *   1_3 Goal line (totals)       1_7 1st half Asian corners
+   *   1_4 Asian corners            1_8 1st half result
+   *
+   * Handicap markets keep their full line ("2.5,3.0" stays a 2.75 quarter line).
+   * 'O/U 2.5' is kept as an alias of the goal line when the bookmaker's line is exactly 2.5,
+   * and 'DNB' is derived from the Asian handicap when its line is 0 (the same bet).
+   */
+  async getMatchOdds(matchId, options = {}) {
     const response = await this.makeRequest('/v2/event/odds/summary', {
       event_id: matchId
-    }, 60); // Cache for 1 minute (live odds)
-
-    console.log(`📊 Response has results:`, !!response.results);
+    }, { soft: 60, hard: 300 }, options); // Fresh for 1 minute (live odds), served while refreshing for 5
 
     if (!response.results) {
-      console.log('⚠️ No results in response');
-      console.log('💰 ========================================================\n');
+      log.info('no odds available', { match_id: matchId });
       return { bookmakers: [] };
     }
 
     const bookmakers = [];
     const bookmakerNames = Object.keys(response.results);
 
-    console.log(`📊 Found ${bookmakerNames.length} bookmakers:`, bookmakerNames.join(', '));
-
     // Parse odds from each bookmaker
     bookmakerNames.forEach(bookmakerName => {
       const bookmakerData = response.results[bookmakerName];
@@ -290,50 +835,30 @@ class BetsAPIService {
         markets: {}
       };
 
-      // 1X2 Market (Match Result)
-      if (odds['1_1']) {
-        bookmaker.markets['1X2'] = {
-          market: '1X2',
-          market_name: 'Match Result',
-          odds: {
-            home: parseFloat(odds['1_1'].home_od || 0),
-            draw: parseFloat(odds['1_1'].draw_od || 0),
-            away: parseFloat(odds['1_1'].away_od || 0)
-          },
-          timestamp: odds['1_1'].add_time,
-          updated_at: new Date(parseInt(odds['1_1'].add_time) * 1000).toISOString()
-        };
-      }
-
-      // Over/Under 2.5 Goals
-      if (odds['1_3']) {
-        // Parse handicap - it might be "2.5" or "2.5,3.0"
-        const handicap = odds['1_3'].handicap?.split(',')[0] || odds['1_3'].handicap;
+      ODDS_MARKETS.forEach(definition => {
+        const market = this.parseOddsMarket(odds[definition.key], definition);
+        if (market) {
+          bookmaker.markets[definition.market] = market;
+        }
+      });
 
+      // Legacy alias used by the EV engine for the main 2.5 goals line
+      const goalLine = bookmaker.markets['Goal Line'];
+      if (goalLine && goalLine.line === 2.5) {
         bookmaker.markets['O/U 2.5'] = {
+          ...goalLine,
           market: 'O/U 2.5',
-          market_name: 'Over/Under 2.5 Goals',
-          handicap: handicap,
-          odds: {
-            over: parseFloat(odds['1_3'].over_od || 0),
-            under: parseFloat(odds['1_3'].under_od || 0)
-          },
-          timestamp: odds['1_3'].add_time,
-          updated_at: new Date(parseInt(odds['1_3'].add_time) * 1000).toISOString()
+          market_name: 'Over/Under 2.5 Goals'
         };
       }
 
-      // Both Teams to Score (BTTS)
-      if (odds['1_8']) {
-        bookmaker.markets['BTTS'] = {
-          market: 'BTTS',
-          market_name: 'Both Teams To Score',
-          odds: {
-            yes: parseFloat(odds['1_8'].home_od || 0),
-            no: parseFloat(odds['1_8'].draw_od || 0)
-          },
-          timestamp: odds['1_8'].add_time,
-          updated_at: new Date(parseInt(odds['1_8'].add_time) * 1000).toISOString()
+      // Draw no bet is an Asian handicap on the 0 line
+      const asianHandicap = bookmaker.markets['AH'];
+      if (asianHandicap && asianHandicap.line === 0) {
+        bookmaker.markets['DNB'] = {
+          ...asianHandicap,
+          market: 'DNB',
+          market_name: 'Draw No Bet'
         };
       }
 
@@ -343,24 +868,194 @@ class BetsAPIService {
       }
     });
 
-    console.log(`📤 Returning ${bookmakers.length} bookmakers with odds`);
-    console.log('💰 ========================================================\n');
+    log.debug('odds parsed', { match_id: matchId, bookmakers: bookmakers.length, of: bookmakerNames.length });
 
     return { bookmakers };
   }
 
+  /**
+   * Normalize one raw BetsAPI market into our market shape
+   */
+  parseOddsMarket(raw, definition) {
+    if (!raw) return null;
+
+    const odds = {};
+    Object.entries(definition.outcomes).forEach(([outcome, field]) => {
+      odds[outcome] = parseFloat(raw[field] || 0);
+    });
+
+    const market = {
+      market: definition.market,
+      market_name: definition.name,
+      period: definition.period,
+      odds,
+      timestamp: raw.add_time,
+      updated_at: new Date(parseInt(raw.add_time) * 1000).toISOString()
+    };
+
+    if (definition.handicap) {
+      const handicap = this.parseHandicap(raw.handicap);
+      if (!handicap) return null;
+      Object.assign(market, handicap);
+    }
+
+    return market;
+  }
+
+  /**
+   * BetsAPI `source` slug for a bookmaker name from the odds summary ("William Hill" -> "williamhill")
+   */
+  bookmakerSource(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Get the full odds line-movement history for a match
+   * Built on /v2/event/odds, which returns every price change per market for one bookmaker.
+   *
+   * @param {Object} options - { bookmakers: source slugs (default: every bookmaker in the summary),
+   *                             markets: our market keys, e.g. ['1X2', 'Goal Line'] (default: all) }
+   */
+  async getOddsHistory(matchId, { bookmakers = null, markets = null } = {}) {
+    let sources = bookmakers;
+
+    if (!sources || sources.length === 0) {
+      const summary = await this.makeRequest('/v2/event/odds/summary', {
+        event_id: matchId
+      }, { soft: 60, hard: 300 });
+      sources = Object.keys(summary.results || {}).map(name => this.bookmakerSource(name));
+    }
+
+    const definitions = markets
+      ? ODDS_MARKETS.filter(d => markets.includes(d.market))
+      : ODDS_MARKETS;
+
+    const results = await mapWithConcurrency(sources, this.historyConcurrency, source =>
+      this.makeRequest('/v2/event/odds', {
+        event_id: matchId,
+        source,
+        odds_market: definitions.map(d => d.key).join(',')
+      }, { soft: 120, hard: 900 })
+    );
+
+    const history = [];
+    const errors = [];
+
+    results.forEach((result, i) => {
+      if (result.error) {
+        if (result.error instanceof FixtureMissingError) throw result.error;
+        errors.push({ bookmaker: sources[i], error: result.error.message });
+        return;
+      }
+
+      const rawMarkets = result.value.results?.odds || {};
+      const bookmaker = { name: sources[i], markets: {} };
+
+      definitions.forEach(definition => {
+        const changes = rawMarkets[definition.key];
+        if (!Array.isArray(changes) || changes.length === 0) return;
+        bookmaker.markets[definition.market] = this.buildMarketHistory(changes, definition);
+      });
+
+      if (Object.keys(bookmaker.markets).length > 0) {
+        history.push(bookmaker);
+      }
+    });
+
+    log.debug('odds history built', { match_id: matchId, bookmakers: history.length, errors: errors.length });
+
+    return { match_id: matchId, bookmakers: history, errors };
+  }
+
+  /**
+   * Turn BetsAPI's newest-first change list into per-outcome time series with summary stats
+   */
+  buildMarketHistory(changes, definition) {
+    const ordered = [...changes].sort((a, b) => parseInt(a.add_time) - parseInt(b.add_time));
+    const outcomes = {};
+
+    Object.entries(definition.outcomes).forEach(([outcome, field]) => {
+      const series = ordered
+        .map(change => ({
+          odds: parseFloat(change[field]),
+          ...(definition.handicap && { handicap: change.handicap ?? null }),
+          score: change.ss || null,
+          time: parseInt(change.add_time),
+          updated_at: new Date(parseInt(change.add_time) * 1000).toISOString()
+        }))
+        .filter(point => point.odds > 1);
+
+      if (series.length > 0) {
+        outcomes[outcome] = {
+          series,
+          summary: this.summarizeOddsSeries(series)
+        };
+      }
+    });
+
+    return {
+      market: definition.market,
+      market_name: definition.name,
+      period: definition.period,
+      outcomes
+    };
+  }
+
+  /**
+   * Opening/latest price, drift and biggest move for one outcome.
+   * Moves are only measured between consecutive prices on the same handicap line;
+   * a line change is reported separately, not as a price move.
+   */
+  summarizeOddsSeries(series) {
+    const opening = series[0];
+    const latest = series[series.length - 1];
+    const sameLine = opening.handicap === latest.handicap;
+
+    let biggestMove = null;
+    let lineChanges = 0;
+
+    for (let i = 1; i < series.length; i++) {
+      const previous = series[i - 1];
+      const current = series[i];
+
+      if (previous.handicap !== current.handicap) {
+        lineChanges++;
+        continue;
+      }
+
+      const change = current.odds - previous.odds;
+      if (!biggestMove || Math.abs(change) > Math.abs(biggestMove.change)) {
+        biggestMove = {
+          from: previous.odds,
+          to: current.odds,
+          change: parseFloat(change.toFixed(3)),
+          updated_at: current.updated_at
+        };
+      }
+    }
+
+    return {
+      opening: { odds: opening.odds, ...(opening.handicap !== undefined && { handicap: opening.handicap }), updated_at: opening.updated_at },
+      latest: { odds: latest.odds, ...(latest.handicap !== undefined && { handicap: latest.handicap }), updated_at: latest.updated_at },
+      changes: series.length - 1,
+      line_changes: lineChanges,
+      total_drift: sameLine ? parseFloat((latest.odds - opening.odds).toFixed(3)) : null,
+      total_drift_pct: sameLine ? parseFloat((((latest.odds - opening.odds) / opening.odds) * 100).toFixed(2)) : null,
+      // Implied probability shift (positive = shortened, i.e. money came in)
+      implied_probability_shift: sameLine ? parseFloat(((1 / latest.odds) - (1 / opening.odds)).toFixed(4)) : null,
+      biggest_move: biggestMove
+    };
+  }
+
   /**
    * Get comprehensive match statistics
    * Includes: live stats, team form, historical performance
    */
   async getMatchStatistics(matchId) {
-    console.log('\n📊 ========== GET MATCH STATISTICS ==========');
-    console.log(`🔍 Match ID: ${matchId}`);
-
     try {
       const response = await this.makeRequest('/v2/event/view', {
         event_id: matchId
-      }, 300);
+      }, { soft: 300, hard: 1800 });
 
       if (!response.results || response.results.length === 0) {
         return null;
@@ -437,13 +1132,12 @@ class BetsAPIService {
         } : null
       };
 
-      console.log(`📤 Statistics compiled`);
-      console.log('📊 ==========================================\n');
-
       return statistics;
 
     } catch (error) {
-      console.error('❌ Error fetching statistics:', error.message);
+      // A missing replay fixture must surface, not degrade silently
+      if (error instanceof FixtureMissingError) throw error;
+      log.warn('statistics unavailable', { match_id: matchId, error: error.message });
       return null;
     }
   }
@@ -452,26 +1146,22 @@ class BetsAPIService {
    * Get head-to-head and team form data for statistical analysis
    */
   async getEventHistory(matchId) {
-    console.log('\n📜 ========== GET EVENT HISTORY (H2H + FORM) ==========');
-    console.log(`🔍 Match ID: ${matchId}`);
-
     try {
       const response = await this.makeRequest('/v1/event/history', {
         event_id: matchId
-      }, 600); // Cache for 10 minutes
+      }, { soft: 600, hard: 3600 }); // Fresh for 10 minutes, served while refreshing for 1 hour
 
-      console.log(`📊 History data retrieved successfully`);
-      if (response.results) {
-        console.log(`   H2H matches: ${response.results.h2h?.length || 0}`);
-        console.log(`   Home team matches: ${response.results.home?.length || 0}`);
-        console.log(`   Away team matches: ${response.results.away?.length || 0}`);
-      }
-      console.log('📜 ========================================================\n');
+      log.debug('event history loaded', {
+        match_id: matchId,
+        h2h: response.results?.h2h?.length || 0,
+        home: response.results?.home?.length || 0,
+        away: response.results?.away?.length || 0
+      });
 
       return response;
     } catch (error) {
-      console.error('❌ Event history fetch error:', error.message);
-      console.log('📜 ========================================================\n');
+      if (error instanceof FixtureMissingError) throw error;
+      log.warn('event history unavailable', { match_id: matchId, error: error.message });
       return {
         results: {
           h2h: [],
@@ -525,11 +1215,11 @@ class BetsAPIService {
   /**
    * Clear cache for specific key or all
    */
-  clearCache(key = null) {
+  async clearCache(key = null) {
     if (key) {
-      cache.del(key);
+      await cache.del(key);
     } else {
-      cache.flushAll();
+      await cache.flush();
     }
   }
 }
@@ -0,0 +1,104 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../../utils/logger.js';
+
+const log = logger.child({ service: 'cache', driver: 'file' });
+
+/**
+ * File cache driver
+ * Keeps entries in memory and snapshots them to a JSON file so the cache
+ * survives restarts. No native dependencies, so it works on Render's free plan.
+ */
+class FileCacheDriver {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filePath = path.resolve(options.filePath || '.cache/betsapi-cache.json');
+    this.defaultTTL = options.defaultTTL || 300;
+    this.flushDelay = options.flushDelay || 1000;
+    this.entries = new Map();
+    this.writeTimer = null;
+
+    this.load();
+  }
+
+  /**
+   * Load persisted entries from disk, dropping anything already expired
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+
+      Object.entries(raw.entries || {}).forEach(([key, entry]) => {
+        if (!entry.expiresAt || entry.expiresAt > now) {
+          this.entries.set(key, entry);
+        }
+      });
+    } catch (error) {
+      log.warn('could not read cache file', { file: this.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Schedule a write to disk - batches bursts of set() calls into one write
+   */
+  scheduleWrite() {
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.persist();
+    }, this.flushDelay);
+    this.writeTimer.unref();
+  }
+
+  persist() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ entries: Object.fromEntries(this.entries) }));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      log.warn('could not write cache file', { file: this.filePath, error: error.message });
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.scheduleWrite();
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttl = this.defaultTTL) {
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl * 1000 : null
+    });
+    this.scheduleWrite();
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+    this.scheduleWrite();
+  }
+
+  async flush() {
+    this.entries.clear();
+    this.scheduleWrite();
+  }
+
+  async keys() {
+    return [...this.entries.keys()];
+  }
+}
+
+export default FileCacheDriver;
@@ -0,0 +1,41 @@
+import dotenv from 'dotenv';
+import MemoryCacheDriver from './memory.driver.js';
+import FileCacheDriver from './file.driver.js';
+import RedisCacheDriver from './redis.driver.js';
+
+dotenv.config();
+
+/**
+ * Cache adapter
+ *
+ * Every driver implements the same async interface:
+ *   get(key)             -> value | undefined
+ *   set(key, value, ttl) -> void (ttl in seconds)
+ *   del(key)             -> void
+ *   flush()              -> void
+ *   keys()               -> string[]
+ *
+ * The driver is chosen with CACHE_DRIVER=memory|file|redis.
+ */
+const drivers = {
+  memory: MemoryCacheDriver,
+  file: FileCacheDriver,
+  redis: RedisCacheDriver
+};
+
+export function createCache(driverName = process.env.CACHE_DRIVER || 'memory') {
+  const Driver = drivers[driverName];
+
+  if (!Driver) {
+    throw new Error(`Unknown CACHE_DRIVER "${driverName}" (expected one of: ${Object.keys(drivers).join(', ')})`);
+  }
+
+  return new Driver({
+    defaultTTL: 300,
+    filePath: process.env.CACHE_FILE_PATH,
+    url: process.env.REDIS_URL,
+    prefix: process.env.CACHE_KEY_PREFIX
+  });
+}
+
+export default createCache;
@@ -0,0 +1,38 @@
+import NodeCache from 'node-cache';
+
+/**
+ * In-memory cache driver
+ * Backed by NodeCache - fastest option, but everything is lost on restart
+ */
+class MemoryCacheDriver {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.cache = new NodeCache({
+      stdTTL: options.defaultTTL || 300,
+      checkperiod: 60,
+      useClones: false
+    });
+  }
+
+  async get(key) {
+    return this.cache.get(key);
+  }
+
+  async set(key, value, ttl) {
+    this.cache.set(key, value, ttl);
+  }
+
+  async del(key) {
+    this.cache.del(key);
+  }
+
+  async flush() {
+    this.cache.flushAll();
+  }
+
+  async keys() {
+    return this.cache.keys();
+  }
+}
+
+export default MemoryCacheDriver;
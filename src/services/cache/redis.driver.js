@@ -0,0 +1,90 @@
+import Redis from 'ioredis';
+import logger from '../../utils/logger.js';
+
+const log = logger.child({ service: 'cache', driver: 'redis' });
+
+/**
+ * Redis cache driver
+ * Works with anything that speaks the Redis protocol (Redis, Valkey, Upstash, KeyDB).
+ * All keys are namespaced with a prefix so clearing the cache never touches other data.
+ */
+class RedisCacheDriver {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.prefix = options.prefix || 'betsapi:';
+    this.defaultTTL = options.defaultTTL || 300;
+    this.client = new Redis(options.url || 'redis://localhost:6379', {
+      keyPrefix: this.prefix,
+      maxRetriesPerRequest: 2,
+      lazyConnect: false
+    });
+
+    this.client.on('error', (error) => {
+      log.warn('redis connection error', { error: error.message });
+    });
+  }
+
+  /**
+   * Reads, writes and deletes degrade to a cache miss (or a no-op) when Redis is
+   * unreachable, so an outage never takes the API down with it
+   */
+  async get(key) {
+    try {
+      const raw = await this.client.get(key);
+      return raw === null ? undefined : JSON.parse(raw);
+    } catch (error) {
+      log.warn('redis get failed', { key, error: error.message });
+      return undefined;
+    }
+  }
+
+  async set(key, value, ttl = this.defaultTTL) {
+    const payload = JSON.stringify(value);
+    try {
+      if (ttl > 0) {
+        await this.client.set(key, payload, 'EX', ttl);
+      } else {
+        await this.client.set(key, payload);
+      }
+    } catch (error) {
+      log.warn('redis set failed', { key, error: error.message });
+    }
+  }
+
+  async del(key) {
+    try {
+      await this.client.del(key);
+    } catch (error) {
+      log.warn('redis del failed', { key, error: error.message });
+    }
+  }
+
+  async flush() {
+    try {
+      const keys = await this.keys();
+      if (keys.length > 0) {
+        await this.client.del(...keys);
+      }
+    } catch (error) {
+      log.warn('redis flush failed', { error: error.message });
+    }
+  }
+
+  /**
+   * List keys without the prefix (SCAN does not apply keyPrefix automatically)
+   */
+  async keys() {
+    const found = [];
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 200);
+      cursor = next;
+      batch.forEach(key => found.push(key.slice(this.prefix.length)));
+    } while (cursor !== '0');
+
+    return found;
+  }
+}
+
+export default RedisCacheDriver;
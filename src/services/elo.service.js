@@ -0,0 +1,290 @@
+/**
+ * Elo Service
+ * Persistent Elo-style team ratings, updated after every finished match
+ *
+ * METHODOLOGY (World Football Elo):
+ * 1. Expected result for the home side: 1 / (1 + 10^(-(home - away + ELO_HOME_ADVANTAGE) / 400))
+ * 2. Change = ELO_K × goal-difference multiplier × (actual - expected), where actual is
+ *    1 / 0.5 / 0; the multiplier is 1 for one goal, 1.5 for two, (11 + gd) / 8 beyond
+ * 3. New teams are seeded by league: the average rating of that league's rated
+ *    teams once it has a few, otherwise a seed for the league's tier
+ *    (ELO_TIER_SEEDS), so ratings are comparable across leagues
+ *
+ * A team belongs to its domestic league: the non-cup league it has played most matches
+ * in, so cup and European ties do not move it out of its league's listing or seed
+ * average. A team first seen in a cup tie is seeded from its domestic league as found in
+ * the results store (ELO_DEFAULT_SEED when it has none), never from the cup's tier.
+ *
+ * Every rating change is stored, one record per team per match, in a JSON Lines file;
+ * current ratings are rebuilt from that history at startup. New results arrive
+ * from the results ingestion job.
+ */
+
+import dotenv from 'dotenv';
+import leagueCatalogService from './league-catalog.service.js';
+import resultsService from './results.service.js';
+import JsonlStore from './storage/jsonl.store.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'elo' });
+
+const MIN_TEAMS_FOR_LEAGUE_SEED = 5;
+
+/**
+ * League with the most matches in a Map of league_id -> count (null when empty)
+ */
+const mostFrequent = (counts) => {
+  let best = null;
+  counts.forEach((count, leagueId) => {
+    if (best === null || count > counts.get(best)) best = leagueId;
+  });
+  return best;
+};
+
+/**
+ * "1:1600,2:1500" -> { 1: 1600, 2: 1500 }
+ */
+const parseSeeds = (value) => Object.fromEntries(
+  value.split(',').map(pair => pair.split(':').map(v => parseFloat(v.trim()))).filter(([tier, seed]) => !isNaN(tier) && !isNaN(seed))
+);
+
+class EloService {
+  constructor() {
+    this.k = parseFloat(process.env.ELO_K || 20);
+    this.homeAdvantage = parseFloat(process.env.ELO_HOME_ADVANTAGE || 65);
+    this.tierSeeds = parseSeeds(process.env.ELO_TIER_SEEDS || '1:1600,2:1500,3:1400');
+    this.defaultSeed = parseFloat(process.env.ELO_DEFAULT_SEED || 1350);
+
+    this.ratings = new Map();
+    this.processed = new Set();
+
+    this.history = new JsonlStore({
+      filePath: process.env.ELO_FILE || '.data/elo-history.jsonl',
+      indexBy: 'team_id'
+    });
+
+    this.history.find().forEach(entry => this.applyEntry(entry));
+  }
+
+  /**
+   * Fold a stored history entry into the current ratings
+   */
+  applyEntry(entry) {
+    this.processed.add(entry.match_id);
+    const current = this.ratings.get(entry.team_id);
+
+    // Matches per domestic league, and the latest league as a fallback for cup-only teams
+    const leagueMatches = current?.league_matches || new Map();
+    if (entry.league_id && !leagueCatalogService.isCup(entry.league_id)) {
+      leagueMatches.set(entry.league_id, (leagueMatches.get(entry.league_id) || 0) + 1);
+    }
+    const isLatest = !current || entry.time >= current.updated_time;
+    const latestLeague = isLatest ? entry.league_id : current.latest_league_id;
+
+    // Entries are applied in the order they were rated, so each change builds on the
+    // previous one even when a match is rated after a later-played one; only the name,
+    // league fallback and updated_time follow kick-off order
+    this.ratings.set(entry.team_id, {
+      team_id: entry.team_id,
+      name: isLatest ? entry.team_name : current.name,
+      league_id: mostFrequent(leagueMatches) || latestLeague,
+      latest_league_id: latestLeague,
+      league_matches: leagueMatches,
+      rating: (current ? current.rating : entry.rating_before) + entry.change,
+      matches: (current?.matches || 0) + 1,
+      updated_time: isLatest ? entry.time : current.updated_time
+    });
+  }
+
+  /**
+   * Most frequent non-cup league in a team's stored results (null when it has none)
+   */
+  domesticLeague(teamId) {
+    const counts = new Map();
+    resultsService.query({ teamId, limit: 1000 }).results.forEach(result => {
+      if (result.league_id && !leagueCatalogService.isCup(result.league_id)) {
+        counts.set(result.league_id, (counts.get(result.league_id) || 0) + 1);
+      }
+    });
+    return mostFrequent(counts);
+  }
+
+  /**
+   * Starting rating for a team seen for the first time; in a cup tie, from its domestic league
+   */
+  seedRating(leagueId, teamId = null) {
+    const seedLeague = leagueId && leagueCatalogService.isCup(leagueId)
+      ? (teamId && this.domesticLeague(teamId))
+      : leagueId;
+    if (!seedLeague) return this.defaultSeed;
+
+    const leagueRatings = [...this.ratings.values()].filter(r => r.league_id === seedLeague);
+    if (leagueRatings.length >= MIN_TEAMS_FOR_LEAGUE_SEED) {
+      return leagueRatings.reduce((sum, r) => sum + r.rating, 0) / leagueRatings.length;
+    }
+
+    const tier = leagueCatalogService.getLeague(seedLeague)?.tier;
+    return this.tierSeeds[tier] ?? this.defaultSeed;
+  }
+
+  getRating(teamId, leagueId = null) {
+    const current = this.ratings.get(String(teamId));
+    if (current) return { rating: current.rating, seeded: false, matches: current.matches };
+    return { rating: this.seedRating(leagueId ? String(leagueId) : null, String(teamId)), seeded: true, matches: 0 };
+  }
+
+  /**
+   * Expected score (win = 1, draw = 0.5) for the home side
+   */
+  expectedScore(homeRating, awayRating, neutral = false) {
+    const diff = homeRating - awayRating + (neutral ? 0 : this.homeAdvantage);
+    return 1 / (1 + Math.pow(10, -diff / 400));
+  }
+
+  goalDifferenceMultiplier(goalDifference) {
+    const gd = Math.abs(goalDifference);
+    if (gd <= 1) return 1;
+    if (gd === 2) return 1.5;
+    return (11 + gd) / 8;
+  }
+
+  /**
+   * Update both teams' ratings from one finished match (each match counts once)
+   * @param {Object} result - results store record
+   */
+  processResult(result) {
+    if (!result?.score || !result.home?.id || !result.away?.id) return null;
+    if (this.processed.has(result.match_id)) return null;
+
+    const leagueId = result.league_id ? String(result.league_id) : null;
+    const home = this.getRating(result.home.id, leagueId);
+    const away = this.getRating(result.away.id, leagueId);
+
+    const { home: homeGoals, away: awayGoals } = result.score;
+    const actual = homeGoals > awayGoals ? 1 : (homeGoals === awayGoals ? 0.5 : 0);
+    const expected = this.expectedScore(home.rating, away.rating);
+    const change = this.k * this.goalDifferenceMultiplier(homeGoals - awayGoals) * (actual - expected);
+
+    const entry = (team, before, delta, opponent) => ({
+      match_id: result.match_id,
+      team_id: String(team.id),
+      team_name: team.name,
+      league_id: leagueId,
+      opponent_id: String(opponent.id),
+      time: result.start_time,
+      rating_before: before,
+      rating_after: before + delta,
+      change: delta
+    });
+
+    const entries = [
+      entry(result.home, home.rating, change, result.away),
+      entry(result.away, away.rating, -change, result.home)
+    ];
+
+    entries.forEach(e => {
+      this.history.append(e);
+      this.applyEntry(e);
+    });
+
+    log.debug('elo updated', { match_id: result.match_id, change, expected, actual });
+    return entries;
+  }
+
+  /**
+   * Apply every stored result not rated yet, oldest first
+   */
+  catchUp() {
+    const pending = resultsService.all()
+      .filter(result => !this.processed.has(result.match_id))
+      .sort((a, b) => a.start_time - b.start_time);
+    pending.forEach(result => this.processResult(result));
+
+    if (pending.length > 0) {
+      log.info('elo ratings caught up', { matches: pending.length, teams: this.ratings.size });
+    }
+  }
+
+  /**
+   * Current ratings, highest first
+   * @param {Object} query - { leagueId, limit }
+   */
+  list({ leagueId = null, limit = 100 } = {}) {
+    const ratings = [...this.ratings.values()]
+      .filter(r => !leagueId || r.league_id === String(leagueId))
+      .sort((a, b) => b.rating - a.rating);
+
+    return {
+      ratings: ratings.slice(0, limit).map((r, i) => ({
+        rank: i + 1,
+        team_id: r.team_id,
+        name: r.name,
+        league_id: r.league_id,
+        rating: parseFloat(r.rating.toFixed(1)),
+        matches: r.matches,
+        updated_at: new Date(r.updated_time * 1000).toISOString()
+      })),
+      total: ratings.length
+    };
+  }
+
+  /**
+   * Rating history for one team, in the order the matches were rated (each entry's
+   * rating_before is the previous entry's rating_after)
+   */
+  getHistory(teamId) {
+    const current = this.ratings.get(String(teamId));
+    if (!current) return null;
+
+    const history = this.history.find(String(teamId))
+      .map(entry => ({
+        match_id: entry.match_id,
+        date: new Date(entry.time * 1000).toISOString(),
+        opponent_id: entry.opponent_id,
+        rating_before: parseFloat(entry.rating_before.toFixed(1)),
+        rating_after: parseFloat(entry.rating_after.toFixed(1)),
+        change: parseFloat(entry.change.toFixed(1))
+      }));
+
+    return {
+      team_id: current.team_id,
+      name: current.name,
+      league_id: current.league_id,
+      rating: parseFloat(current.rating.toFixed(1)),
+      matches: current.matches,
+      history
+    };
+  }
+
+  /**
+   * Both teams' ratings and what they imply for a fixture
+   */
+  getMatchRatings(homeTeamId, awayTeamId, leagueId = null) {
+    const home = this.getRating(homeTeamId, leagueId);
+    const away = this.getRating(awayTeamId, leagueId);
+
+    return {
+      home: { rating: parseFloat(home.rating.toFixed(1)), seeded: home.seeded, matches: home.matches },
+      away: { rating: parseFloat(away.rating.toFixed(1)), seeded: away.seeded, matches: away.matches },
+      diff: parseFloat((home.rating - away.rating).toFixed(1)),
+      home_advantage: this.homeAdvantage,
+      home_expected_score: parseFloat(this.expectedScore(home.rating, away.rating).toFixed(4))
+    };
+  }
+
+  getStatus() {
+    return {
+      rated_teams: this.ratings.size,
+      rated_matches: this.processed.size
+    };
+  }
+
+  start() {
+    this.catchUp();
+    resultsService.onResult(result => this.processResult(result));
+  }
+}
+
+export default new EloService();
@@ -9,8 +9,21 @@
  * 4. Show opportunities where bookmakers offer better odds than statistical model
  *
  * EV% = ((Bookmaker Odds × Statistical Probability) - 1) × 100
+ *
+ * Total and handicap markets are priced on each bookmaker's own line. Whole lines
+ * push, quarter lines split the stake across two lines, so EV there is the expected
+ * return over win / half-win / push / half-loss / loss.
+ *
+ * When the model carries bootstrap samples, every opportunity also reports its EV at
+ * the lower end of the model's confidence interval, so thin-sample edges stand out.
  */
 
+import logger from '../utils/logger.js';
+import { settleTotal, settleHandicap, expectedReturn, fairLineOdds } from '../utils/asian-lines.js';
+import { quantile } from '../utils/sampling.js';
+
+const log = logger.child({ service: 'ev-calculator' });
+
 class EVCalculatorService {
   constructor() {
     this.minEVThreshold = parseFloat(process.env.MIN_EV_THRESHOLD || 4.0);
@@ -167,11 +180,30 @@ class EVCalculatorService {
     return explanation;
   }
 
+  /**
+   * EV at the lower end of the model's confidence interval
+   * @param {Object} bootstrap - { level, samples } for this market
+   * @param {Function} sampleEV - sample => EV% of the bet on that sample
+   */
+  addLowerBound(opportunity, bootstrap, sampleEV) {
+    if (!bootstrap) {
+      opportunity.ev_lower_pct = null;
+      opportunity.positive_at_lower_bound = null;
+      return opportunity;
+    }
+
+    const lower = quantile(bootstrap.samples.map(sampleEV), (1 - bootstrap.level) / 2);
+    opportunity.ev_lower_pct = parseFloat(lower.toFixed(2));
+    opportunity.positive_at_lower_bound = lower > 0;
+    return opportunity;
+  }
+
   /**
    * Calculate EV for 1X2 Market using STATISTICAL probabilities
+   * @param {string} marketType - '1X2', or 'HT 1X2' with the half-time model's probabilities
+   * @param {Object} bootstrap - { level, samples: [{ home, draw, away }] } from the model, when available
    */
-  calculate1X2EV(bookmakers, statisticalProbs) {
-    const marketType = '1X2';
+  calculate1X2EV(bookmakers, statisticalProbs, marketType = '1X2', bootstrap = null) {
     const outcomes = ['home', 'draw', 'away'];
 
     // Get bookmakers that have this market
@@ -181,15 +213,10 @@ class EVCalculatorService {
       return null;
     }
 
-    console.log(`\n🔢 Calculating 1X2 EV using statistical probabilities from ${relevantBookmakers.length} bookmakers...`);
-
     // Use statistical probabilities (from H2H and form analysis)
     const fairProbs = statisticalProbs.probabilities;
     const fairOdds = statisticalProbs.fair_odds;
 
-    console.log(`✨ Statistical probabilities:`, fairProbs);
-    console.log(`✨ Fair odds from stats:`, fairOdds);
-
     // Calculate odds range for explanation
     const { oddsRange } = this.calculateMarketAverage(bookmakers, marketType, outcomes);
 
@@ -206,7 +233,7 @@ class EVCalculatorService {
 
         if (ev >= this.minEVThreshold) {
           const opportunity = {
-            market: '1X2',
+            market: marketType,
             outcome,
             bookmaker: bookmaker.name,
             bookmaker_odds: bookmakerOdds,
@@ -217,6 +244,7 @@ class EVCalculatorService {
 
           // Add individual explanation
           opportunity.reason = this.generateOpportunityExplanation(opportunity, oddsRange, outcome);
+          this.addLowerBound(opportunity, bootstrap, sample => this.calculateEV(bookmakerOdds, sample[outcome]));
 
           opportunities.push(opportunity);
         }
@@ -225,7 +253,7 @@ class EVCalculatorService {
 
     opportunities.sort((a, b) => b.ev_pct - a.ev_pct);
 
-    console.log(`✅ Found ${opportunities.length} 1X2 opportunities`);
+    log.debug('market evaluated', { market: marketType, bookmakers: relevantBookmakers.length, opportunities: opportunities.length });
 
     return {
       probabilities: fairProbs,
@@ -233,77 +261,131 @@ class EVCalculatorService {
       odds_range: oddsRange,
       explanation,
       opportunities,
-      data_quality: statisticalProbs.data_quality
+      data_quality: statisticalProbs.data_quality,
+      confidence_interval: statisticalProbs.confidence_interval || null
     };
   }
 
   /**
-   * Calculate EV for Over/Under 2.5 Market using STATISTICAL probabilities
+   * Calculate EV for a total or handicap market on every bookmaker's own line
+   * @param {Array} distribution - [value, probability] pairs the line is settled on
+   *                               (total goals / corners, or home minus away goals)
+   * @param {Function} settle - settleTotal or settleHandicap
+   * @param {Object} bootstrap - { level, samples: [distribution] } from the model, when available
    */
-  calculateOUEV(bookmakers, statisticalProbs) {
-    const marketType = 'O/U 2.5';
-    const outcomes = ['over', 'under'];
+  calculateLineEV(bookmakers, marketType, distribution, settle, explanation, bootstrap = null) {
+    const relevantBookmakers = bookmakers.filter(b => b.markets[marketType]?.line !== undefined);
 
-    const relevantBookmakers = bookmakers.filter(b => b.markets[marketType]);
-
-    if (relevantBookmakers.length === 0 || !statisticalProbs) {
+    if (relevantBookmakers.length === 0 || !distribution) {
       return null;
     }
 
-    console.log(`\n🔢 Calculating O/U 2.5 EV using statistical probabilities from ${relevantBookmakers.length} bookmakers...`);
-
-    // Use statistical probabilities
-    const fairProbs = statisticalProbs.probabilities;
-    const fairOdds = statisticalProbs.fair_odds;
-
-    console.log(`✨ Statistical probabilities:`, fairProbs);
-
-    const { oddsRange } = this.calculateMarketAverage(bookmakers, marketType, outcomes);
-
-    const explanation = statisticalProbs.explanation || 'Based on expected goals from statistical analysis.';
-
-    const opportunities = [];
-
+    // Settle each line once and compare prices between bookmakers on the same line
+    const lines = new Map();
     relevantBookmakers.forEach(bookmaker => {
-      outcomes.forEach(outcome => {
-        const bookmakerOdds = parseFloat(bookmaker.markets[marketType].odds[outcome]);
-        const ev = this.calculateEV(bookmakerOdds, fairProbs[outcome]);
+      const { line } = bookmaker.markets[marketType];
+      if (!lines.has(line)) {
+        lines.set(line, {
+          settlements: settle(distribution, line),
+          sampleSettlements: bootstrap?.samples.map(sample => settle(sample, line)),
+          bookmakers: []
+        });
+      }
+      lines.get(line).bookmakers.push(bookmaker);
+    });
 
-        if (ev >= this.minEVThreshold) {
-          const opportunity = {
-            market: 'O/U 2.5',
-            outcome,
-            bookmaker: bookmaker.name,
-            bookmaker_odds: bookmakerOdds,
-            fair_odds: fairOdds[outcome],
-            probability: fairProbs[outcome],
-            ev_pct: parseFloat(ev.toFixed(2))
-          };
+    const opportunities = [];
+    const pricedLines = [];
+
+    lines.forEach(({ settlements, sampleSettlements, bookmakers: lineBookmakers }, line) => {
+      const outcomes = Object.keys(settlements);
+      const { oddsRange } = this.calculateMarketAverage(lineBookmakers, marketType, outcomes);
+
+      pricedLines.push({
+        line,
+        handicap: lineBookmakers[0].markets[marketType].handicap,
+        ...Object.fromEntries(outcomes.map(outcome => [outcome, {
+          ...settlements[outcome],
+          fair_odds: fairLineOdds(settlements[outcome])
+        }])),
+        odds_range: oddsRange,
+        bookmakers: lineBookmakers.length
+      });
 
-          opportunity.reason = this.generateOpportunityExplanation(opportunity, oddsRange, outcome);
-          opportunities.push(opportunity);
-        }
+      lineBookmakers.forEach(bookmaker => {
+        const market = bookmaker.markets[marketType];
+
+        outcomes.forEach(outcome => {
+          const bookmakerOdds = parseFloat(market.odds[outcome]);
+          const fairOdds = fairLineOdds(settlements[outcome]);
+          if (!bookmakerOdds || bookmakerOdds <= 1 || !fairOdds) return;
+
+          const ev = expectedReturn(settlements[outcome], bookmakerOdds) * 100;
+
+          if (ev >= this.minEVThreshold) {
+            const opportunity = {
+              market: marketType,
+              outcome,
+              line,
+              handicap: market.handicap,
+              bookmaker: bookmaker.name,
+              bookmaker_odds: bookmakerOdds,
+              fair_odds: fairOdds,
+              probability: 1 / fairOdds, // Break-even win share, pushes excluded
+              settlements: settlements[outcome],
+              ev_pct: parseFloat(ev.toFixed(2))
+            };
+
+            opportunity.reason = this.generateOpportunityExplanation(opportunity, oddsRange, outcome);
+            this.addLowerBound(
+              opportunity,
+              bootstrap && { level: bootstrap.level, samples: sampleSettlements },
+              sample => expectedReturn(sample[outcome], bookmakerOdds) * 100
+            );
+            opportunities.push(opportunity);
+          }
+        });
       });
     });
 
+    pricedLines.sort((a, b) => a.line - b.line);
     opportunities.sort((a, b) => b.ev_pct - a.ev_pct);
 
-    console.log(`✅ Found ${opportunities.length} O/U opportunities`);
+    log.debug('market evaluated', { market: marketType, bookmakers: relevantBookmakers.length, lines: lines.size, opportunities: opportunities.length });
 
     return {
-      probabilities: fairProbs,
-      fair_odds: fairOdds,
-      odds_range: oddsRange,
+      lines: pricedLines,
       explanation,
-      opportunities,
-      expected_total_goals: statisticalProbs.expected_total_goals
+      opportunities
+    };
+  }
+
+  /**
+   * O/U 2.5 view of the goal line: model probabilities plus the goal line opportunities at 2.5
+   */
+  calculateOUEV(statisticalProbs, goalLineEV) {
+    if (!statisticalProbs || !goalLineEV) {
+      return null;
+    }
+
+    const main = goalLineEV.lines.find(priced => priced.line === 2.5);
+    if (!main) return null;
+
+    return {
+      probabilities: statisticalProbs.probabilities,
+      fair_odds: statisticalProbs.fair_odds,
+      odds_range: main.odds_range,
+      explanation: statisticalProbs.explanation || 'Based on expected goals from statistical analysis.',
+      opportunities: goalLineEV.opportunities.filter(o => o.line === 2.5),
+      expected_total_goals: statisticalProbs.expected_total_goals,
+      confidence_interval: statisticalProbs.confidence_interval || null
     };
   }
 
   /**
    * Calculate EV for BTTS Market using STATISTICAL probabilities
    */
-  calculateBTTSEV(bookmakers, statisticalProbs) {
+  calculateBTTSEV(bookmakers, statisticalProbs, bootstrap = null) {
     const marketType = 'BTTS';
     const outcomes = ['yes', 'no'];
 
@@ -313,14 +395,10 @@ class EVCalculatorService {
       return null;
     }
 
-    console.log(`\n🔢 Calculating BTTS EV using statistical probabilities from ${relevantBookmakers.length} bookmakers...`);
-
     // Use statistical probabilities
     const fairProbs = statisticalProbs.probabilities;
     const fairOdds = statisticalProbs.fair_odds;
 
-    console.log(`✨ Statistical probabilities:`, fairProbs);
-
     const { oddsRange } = this.calculateMarketAverage(bookmakers, marketType, outcomes);
 
     const explanation = statisticalProbs.explanation || 'Based on team scoring rates from statistical analysis.';
@@ -344,6 +422,7 @@ class EVCalculatorService {
           };
 
           opportunity.reason = this.generateOpportunityExplanation(opportunity, oddsRange, outcome);
+          this.addLowerBound(opportunity, bootstrap, sample => this.calculateEV(bookmakerOdds, sample[outcome]));
           opportunities.push(opportunity);
         }
       });
@@ -351,7 +430,7 @@ class EVCalculatorService {
 
     opportunities.sort((a, b) => b.ev_pct - a.ev_pct);
 
-    console.log(`✅ Found ${opportunities.length} BTTS opportunities`);
+    log.debug('market evaluated', { market: marketType, bookmakers: relevantBookmakers.length, opportunities: opportunities.length });
 
     return {
       probabilities: fairProbs,
@@ -359,7 +438,8 @@ class EVCalculatorService {
       odds_range: oddsRange,
       explanation,
       opportunities,
-      team_scoring: statisticalProbs.team_scoring
+      team_scoring: statisticalProbs.team_scoring,
+      confidence_interval: statisticalProbs.confidence_interval || null
     };
   }
 
@@ -372,45 +452,104 @@ class EVCalculatorService {
         '1X2': null,
         'O/U 2.5': null,
         'BTTS': null,
+        'Goal Line': null,
+        'AH': null,
+        'Corners': null,
+        'HT 1X2': null,
+        'HT Goal Line': null,
+        'HT AH': null,
         all_opportunities: [],
         model: 'statistical'
       };
     }
 
-    console.log(`\n💰 ===== STATISTICAL EV CALCULATION FOR ${oddsData.bookmakers.length} BOOKMAKERS =====`);
-
     if (!statisticalProbabilities) {
-      console.log('⚠️ No statistical probabilities available - cannot calculate EV');
+      log.warn('no statistical probabilities available - cannot calculate EV');
       return {
         '1X2': null,
         'O/U 2.5': null,
         'BTTS': null,
+        'Goal Line': null,
+        'AH': null,
+        'Corners': null,
+        'HT 1X2': null,
+        'HT Goal Line': null,
+        'HT AH': null,
         all_opportunities: [],
         model: 'statistical',
         error: 'Statistical probabilities not available'
       };
     }
 
-    const ev1X2 = this.calculate1X2EV(oddsData.bookmakers, statisticalProbabilities['1X2']);
-    const evOU = this.calculateOUEV(oddsData.bookmakers, statisticalProbabilities['O/U 2.5']);
-    const evBTTS = this.calculateBTTSEV(oddsData.bookmakers, statisticalProbabilities['BTTS']);
+    // Per-market view of the model's bootstrap samples (pre-match only)
+    const bootstrap = statisticalProbabilities.bootstrap;
+    const samplesOf = (pick) => (bootstrap ? { level: bootstrap.level, samples: bootstrap.samples.map(pick) } : null);
+
+    const distributions = statisticalProbabilities.distributions || {};
+    const ev1X2 = this.calculate1X2EV(oddsData.bookmakers, statisticalProbabilities['1X2'], '1X2', samplesOf(s => s['1X2']));
+    const evBTTS = this.calculateBTTSEV(oddsData.bookmakers, statisticalProbabilities['BTTS'], samplesOf(s => s['BTTS']));
+    const evGoalLine = this.calculateLineEV(
+      oddsData.bookmakers, 'Goal Line', distributions.total_goals, settleTotal,
+      'Total goals on each bookmaker\'s line, settled on the model\'s total goals distribution.',
+      samplesOf(s => s.distributions.total_goals)
+    );
+    const evAH = this.calculateLineEV(
+      oddsData.bookmakers, 'AH', distributions.goal_difference, settleHandicap,
+      'Asian handicap (home line) on each bookmaker\'s line, settled on the model\'s goal difference distribution.',
+      samplesOf(s => s.distributions.goal_difference)
+    );
+    const evCorners = this.calculateLineEV(
+      oddsData.bookmakers, 'Corners', distributions.corners, settleTotal,
+      'Total corners on each bookmaker\'s line, settled on the predicted corners distribution.'
+    );
+
+    // First-half markets, priced by the half split model
+    const halves = statisticalProbabilities.halves;
+    const evHT1X2 = halves
+      ? this.calculate1X2EV(oddsData.bookmakers, halves['HT 1X2'], 'HT 1X2', samplesOf(s => s.halves['HT 1X2']))
+      : null;
+    const evHTGoalLine = this.calculateLineEV(
+      oddsData.bookmakers, 'HT Goal Line', halves?.distributions.total_goals, settleTotal,
+      'First-half goals on each bookmaker\'s line, settled on the half split model.',
+      samplesOf(s => s.halves.distributions.total_goals)
+    );
+    const evHTAH = this.calculateLineEV(
+      oddsData.bookmakers, 'HT AH', halves?.distributions.goal_difference, settleHandicap,
+      'First-half Asian handicap (home line), settled on the half split model.',
+      samplesOf(s => s.halves.distributions.goal_difference)
+    );
+
+    // O/U 2.5 is the goal line at 2.5, so its opportunities are already counted there
+    const evOU = this.calculateOUEV(statisticalProbabilities['O/U 2.5'], evGoalLine);
 
     const allOpportunities = [
       ...(ev1X2?.opportunities || []),
-      ...(evOU?.opportunities || []),
-      ...(evBTTS?.opportunities || [])
+      ...(evBTTS?.opportunities || []),
+      ...(evGoalLine?.opportunities || []),
+      ...(evAH?.opportunities || []),
+      ...(evCorners?.opportunities || []),
+      ...(evHT1X2?.opportunities || []),
+      ...(evHTGoalLine?.opportunities || []),
+      ...(evHTAH?.opportunities || [])
     ].sort((a, b) => b.ev_pct - a.ev_pct);
 
-    console.log(`\n🎯 TOTAL OPPORTUNITIES FOUND: ${allOpportunities.length}`);
-    if (allOpportunities.length > 0) {
-      console.log(`🏆 Best opportunity: ${allOpportunities[0].market} ${allOpportunities[0].outcome} @ ${allOpportunities[0].bookmaker} (${allOpportunities[0].ev_pct}% EV)`);
-    }
-    console.log(`💰 ================================================\n`);
+    const best = allOpportunities[0];
+    log.info('ev calculated', {
+      bookmakers: oddsData.bookmakers.length,
+      opportunities: allOpportunities.length,
+      ...(best && { best: { market: best.market, outcome: best.outcome, bookmaker: best.bookmaker, ev_pct: best.ev_pct } })
+    });
 
     return {
       '1X2': ev1X2,
       'O/U 2.5': evOU,
       'BTTS': evBTTS,
+      'Goal Line': evGoalLine,
+      'AH': evAH,
+      'Corners': evCorners,
+      'HT 1X2': evHT1X2,
+      'HT Goal Line': evHTGoalLine,
+      'HT AH': evHTAH,
       all_opportunities: allOpportunities,
       model: 'statistical',
       metadata: statisticalProbabilities.metadata,
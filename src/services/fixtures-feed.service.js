@@ -0,0 +1,144 @@
+/**
+ * Fixtures Feed Service
+ * One merged, time-sorted fixture list across many leagues
+ *
+ * METHODOLOGY:
+ * 1. Read only the sources the window and statuses need: upcoming events (scheduled,
+ *    window reaching past now), the in-play list (live) and ended events for each day
+ *    of the window up to now (finished; only the last 7 days, the /api/matches/ended limit)
+ * 2. Run league fetches with bounded concurrency (FIXTURES_CONCURRENCY)
+ * 3. Filter by date window and status, merge and sort by kick-off; a match seen in
+ *    several sources keeps its most advanced status (finished, then live, then scheduled)
+ * 4. Paginate with an opaque cursor (kick-off time + match ID of the last item)
+ */
+
+import dayjs from 'dayjs';
+import dotenv from 'dotenv';
+import betsAPIService from './betsapi.service.js';
+import { FixtureMissingError } from './betsapi-fixtures.service.js';
+import resultsService, { MAX_ENDED_DAYS } from './results.service.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'fixtures-feed' });
+
+class FixturesFeedService {
+  constructor() {
+    this.concurrency = parseInt(process.env.FIXTURES_CONCURRENCY || 3);
+    this.maxPages = parseInt(process.env.FIXTURES_MAX_PAGES || 5);
+    this.maxLeagues = parseInt(process.env.FIXTURES_MAX_LEAGUES || 40);
+  }
+
+  encodeCursor(match) {
+    return Buffer.from(`${match.start_time}:${match.match_id}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const [time, matchId] = Buffer.from(cursor, 'base64url').toString('utf8').split(':');
+    if (!time || !matchId || isNaN(parseInt(time))) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      throw error;
+    }
+    return { time: parseInt(time), matchId };
+  }
+
+  /**
+   * Kick-off order, match ID as tie-breaker so the cursor is stable
+   */
+  compare(a, b) {
+    return parseInt(a.start_time) - parseInt(b.start_time) || String(a.match_id).localeCompare(String(b.match_id));
+  }
+
+  /**
+   * @param {Object} query - { leagueIds, from, to (unix seconds), statuses, cursor, limit }
+   */
+  async getFixtures({ leagueIds, from, to, statuses = null, cursor = null, limit = 50 }) {
+    if (leagueIds.length > this.maxLeagues) {
+      const error = new Error(`Too many leagues (max ${this.maxLeagues})`);
+      error.status = 400;
+      throw error;
+    }
+
+    const after = cursor ? this.decodeCursor(cursor) : null;
+    const wants = status => !statuses || statuses.includes(status);
+    const now = Math.floor(Date.now() / 1000);
+
+    // Ended events are listed day by day, so only the most recent MAX_ENDED_DAYS days are read
+    const endedTo = Math.min(to, now);
+    const endedFrom = Math.max(from, dayjs.unix(now).subtract(MAX_ENDED_DAYS - 1, 'day').startOf('day').unix());
+
+    const [ended, inplay, upcoming] = await Promise.all([
+      wants('finished') && endedFrom <= endedTo
+        ? resultsService.getEnded({ leagueIds, from: endedFrom, to: endedTo })
+        : { matches: [], errors: [] },
+      wants('live') && from <= now
+        ? betsAPIService.getInplayMatches({ maxPages: this.maxPages }).then(value => ({ value }), error => ({ error }))
+        : { value: [] },
+      wants('scheduled') && to >= now
+        ? mapWithConcurrency(leagueIds, this.concurrency, leagueId =>
+          betsAPIService.getUpcomingMatchesPaged(leagueId, { until: to, maxPages: this.maxPages })
+        )
+        : []
+    ]);
+
+    const errors = [...ended.errors];
+    const seen = new Set();
+    const merged = [];
+
+    const add = (match, leagueId = match.league_id) => {
+      const time = parseInt(match.start_time);
+      if (time < from || time > to) return;
+      if (!wants(match.status)) return;
+      if (seen.has(match.match_id)) return;
+
+      seen.add(match.match_id);
+      merged.push({ ...match, league_id: leagueId });
+    };
+
+    // Most advanced status first, so a match that kicked off since the upcoming list was cached is not listed as scheduled
+    ended.matches.forEach(match => add(match));
+
+    if (inplay.error) {
+      // Partial results are fine live, but replay gaps must not be papered over
+      if (inplay.error instanceof FixtureMissingError) throw inplay.error;
+      log.warn('in-play fixtures unavailable', { error: inplay.error.message });
+      errors.push({ league_id: null, error: inplay.error.message });
+    }
+    const leagueSet = new Set(leagueIds.map(String));
+    (inplay.value || [])
+      .filter(match => leagueSet.has(String(match.league_id)))
+      .forEach(match => add(match));
+
+    upcoming.forEach((result, i) => {
+      if (result.error) {
+        if (result.error instanceof FixtureMissingError) throw result.error;
+        log.warn('league fixtures unavailable', { league_id: leagueIds[i], error: result.error.message });
+        errors.push({ league_id: leagueIds[i], error: result.error.message });
+        return;
+      }
+
+      result.value.forEach(match => add(match, match.league_id || leagueIds[i]));
+    });
+
+    merged.sort((a, b) => this.compare(a, b));
+
+    const remaining = after
+      ? merged.filter(m => this.compare(m, { start_time: after.time, match_id: after.matchId }) > 0)
+      : merged;
+    const page = remaining.slice(0, limit);
+    const hasMore = remaining.length > limit;
+
+    return {
+      matches: page,
+      count: page.length,
+      total: merged.length,
+      next_cursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+      errors
+    };
+  }
+}
+
+export default new FixturesFeedService();
@@ -0,0 +1,290 @@
+/**
+ * League Catalog Service
+ * Full football league list with search, filters and tiers
+ *
+ * DATA FLOW:
+ * 1. Seeded at startup from league.json (no BetsAPI calls on a cold start)
+ * 2. Periodically re-synced from BetsAPI /v1/league as background traffic
+ * 3. Tiers come from src/config/league-tiers.js (or LEAGUE_TIERS_FILE) and are
+ *    resolved against the catalog by league ID, falling back to exact name
+ */
+
+import fs from 'fs';
+import dotenv from 'dotenv';
+import betsAPIService from './betsapi.service.js';
+import betsAPIFixtures from './betsapi-fixtures.service.js';
+import defaultTiers from '../config/league-tiers.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'league-catalog' });
+
+const SEED_FILE = process.env.LEAGUE_SEED_FILE || new URL('../../league.json', import.meta.url);
+const MAX_PER_PAGE = 200;
+
+// Cups and international club competitions, which teams play alongside their domestic league
+const CUP_PATTERN = /\b(cup|copa|coupe|coppa|pokal|beker|ta[cç]a|trophy|shield|supercopa|champions league|europa|conference league|libertadores|sudamericana|club world|nations league|international|friendl|qualif)/i;
+
+class LeagueCatalogService {
+  constructor() {
+    this.syncIntervalHours = parseFloat(process.env.LEAGUE_SYNC_INTERVAL_HOURS || 24);
+    this.leagues = new Map();
+    this.syncedAt = null;
+    this.syncing = null;
+    this.timer = null;
+
+    this.tiers = this.loadTiers();
+    this.loadSeed();
+  }
+
+  loadTiers() {
+    if (!process.env.LEAGUE_TIERS_FILE) return defaultTiers;
+    return JSON.parse(fs.readFileSync(process.env.LEAGUE_TIERS_FILE, 'utf8'));
+  }
+
+  loadSeed() {
+    try {
+      const seed = JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+      this.replaceLeagues(seed.leagues || []);
+      this.syncedAt = seed.generated_at ? new Date(seed.generated_at) : null;
+      log.info('league catalog seeded', { leagues: this.leagues.size, generated_at: seed.generated_at });
+    } catch (error) {
+      log.warn('could not load league seed file', { file: String(SEED_FILE), error: error.message });
+    }
+  }
+
+  /**
+   * Normalize raw BetsAPI leagues into the catalog
+   */
+  replaceLeagues(rawLeagues) {
+    const leagues = new Map();
+
+    rawLeagues.forEach(league => {
+      if (!league?.id) return;
+      leagues.set(String(league.id), {
+        league_id: String(league.id),
+        name: league.name,
+        cc: league.cc || null,
+        has_leaguetable: league.has_leaguetable === 1 || league.has_leaguetable === '1',
+        has_toplist: league.has_toplist === 1 || league.has_toplist === '1'
+      });
+    });
+
+    this.leagues = leagues;
+    this.resolveTiers();
+  }
+
+  /**
+   * Attach tier info to catalog leagues and remember the resolved tier list
+   */
+  resolveTiers() {
+    const byName = new Map();
+    this.leagues.forEach(league => byName.set(league.name?.toLowerCase(), league));
+
+    this.resolvedTiers = this.tiers.map((entry, order) => {
+      const league = (entry.league_id && this.leagues.get(String(entry.league_id))) ||
+        byName.get(entry.name.toLowerCase()) ||
+        null;
+
+      if (league) {
+        league.tier = entry.tier;
+      } else {
+        // Unpinned entries that do not resolve drop out of every tier listing
+        log.warn('tier league not found in catalog', {
+          name: entry.name,
+          league_id: entry.league_id || null,
+          tier: entry.tier,
+          kept: !!entry.league_id
+        });
+      }
+
+      return { ...entry, order, league };
+    });
+  }
+
+  /**
+   * Shape used by /top20 and tier listings
+   */
+  formatTierLeague(entry) {
+    return {
+      league_id: entry.league?.league_id || entry.league_id || null,
+      name: entry.name,
+      country: entry.country,
+      tier: entry.tier,
+      logo: `https://assets.betsapi.com/v2/images/flags/${entry.cc}.svg`,
+      season_id: null,
+      has_leaguetable: entry.league?.has_leaguetable ?? null,
+      has_toplist: entry.league?.has_toplist ?? null
+    };
+  }
+
+  /**
+   * Leagues grouped by tier, in configuration order.
+   * Entries without a pinned league_id that do not resolve by name are left out.
+   */
+  getTiers() {
+    const tiers = new Map();
+
+    this.resolvedTiers
+      .filter(entry => entry.league || entry.league_id)
+      .forEach(entry => {
+        if (!tiers.has(entry.tier)) tiers.set(entry.tier, []);
+        tiers.get(entry.tier).push(this.formatTierLeague(entry));
+      });
+
+    return [...tiers.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([tier, leagues]) => ({ tier, count: leagues.length, leagues }));
+  }
+
+  /**
+   * League IDs for one or more tiers (e.g. [1, 2])
+   */
+  getTierLeagueIds(tiers) {
+    const wanted = new Set(tiers.map(Number));
+    return this.getTiers()
+      .filter(t => wanted.has(t.tier))
+      .flatMap(t => t.leagues.map(l => l.league_id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Top N leagues across tiers - the view behind /api/leagues/top20
+   */
+  getTopLeagues(limit = 20) {
+    return this.getTiers()
+      .flatMap(t => t.leagues)
+      .slice(0, limit);
+  }
+
+  getLeague(leagueId) {
+    return this.leagues.get(String(leagueId)) || null;
+  }
+
+  /**
+   * Whether a league is a cup or international competition rather than a domestic league
+   * (by name, and European competitions by their 'eu' country code); unknown leagues are not
+   */
+  isCup(leagueId) {
+    const league = leagueId ? this.getLeague(leagueId) : null;
+    if (!league) return false;
+    return league.cc === 'eu' || CUP_PATTERN.test(league.name || '');
+  }
+
+  /**
+   * Search the catalog
+   * @param {Object} query - { q, country, has_leaguetable, has_toplist, tier, page, per_page }
+   */
+  search({ q, country, has_leaguetable, has_toplist, tier, page = 1, per_page = 50 } = {}) {
+    const needle = q?.trim().toLowerCase();
+    const countryNeedle = country?.trim().toLowerCase();
+    const perPage = Math.min(Math.max(parseInt(per_page) || 50, 1), MAX_PER_PAGE);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    const results = [...this.leagues.values()].filter(league => {
+      const name = league.name?.toLowerCase() || '';
+      if (needle && !name.includes(needle)) return false;
+      // BetsAPI league names start with the country ("England Premier League"), cc is the ISO code
+      if (countryNeedle && league.cc !== countryNeedle && !name.startsWith(countryNeedle)) return false;
+      if (has_leaguetable !== undefined && league.has_leaguetable !== has_leaguetable) return false;
+      if (has_toplist !== undefined && league.has_toplist !== has_toplist) return false;
+      if (tier !== undefined && league.tier !== tier) return false;
+      return true;
+    });
+
+    // Tiered leagues first, then alphabetical
+    results.sort((a, b) => (a.tier || 99) - (b.tier || 99) || a.name.localeCompare(b.name));
+
+    const total = results.length;
+    return {
+      leagues: results.slice((pageNumber - 1) * perPage, pageNumber * perPage),
+      pagination: {
+        page: pageNumber,
+        per_page: perPage,
+        total,
+        total_pages: Math.ceil(total / perPage)
+      }
+    };
+  }
+
+  getStatus() {
+    return {
+      leagues: this.leagues.size,
+      synced_at: this.syncedAt?.toISOString() || null,
+      syncing: !!this.syncing,
+      tiers_configured: this.tiers.length,
+      tiers_resolved: this.resolvedTiers.filter(t => t.league).length
+    };
+  }
+
+  /**
+   * Page through BetsAPI /v1/league and replace the catalog once every page is in
+   */
+  async sync() {
+    if (this.syncing) return this.syncing;
+
+    this.syncing = (async () => {
+      const collected = [];
+      let page = 1;
+      let totalPages = 1;
+
+      do {
+        if (!betsAPIService.hasQuota('background')) {
+          log.warn('league sync paused - background quota exhausted', { page });
+          return false;
+        }
+
+        const response = await betsAPIService.makeRequest('/v1/league', {
+          sport_id: 1,
+          page
+        }, 3600, { priority: 'background' });
+
+        collected.push(...(response.results || []));
+
+        const pager = response.pager;
+        totalPages = pager ? Math.ceil(pager.total / pager.per_page) : page;
+        page++;
+      } while (page <= totalPages);
+
+      if (collected.length === 0) {
+        log.warn('league sync returned no leagues, keeping current catalog');
+        return false;
+      }
+
+      this.replaceLeagues(collected);
+      this.syncedAt = new Date();
+      log.info('league catalog synced', { leagues: this.leagues.size, pages: totalPages });
+      return true;
+    })();
+
+    try {
+      return await this.syncing;
+    } catch (error) {
+      log.error('league sync failed', { error });
+      return false;
+    } finally {
+      this.syncing = null;
+    }
+  }
+
+  /**
+   * Sync now if the catalog is older than the interval, then on a schedule
+   */
+  startSync() {
+    // Replay mode only has the fixtures that were recorded - never sync there
+    if (this.syncIntervalHours <= 0 || this.timer || betsAPIFixtures.isReplaying) return;
+
+    const intervalMs = this.syncIntervalHours * 3600 * 1000;
+    const age = this.syncedAt ? Date.now() - this.syncedAt.getTime() : Infinity;
+
+    if (age >= intervalMs) {
+      setTimeout(() => this.sync(), 5000).unref();
+    }
+
+    this.timer = setInterval(() => this.sync(), intervalMs);
+    this.timer.unref();
+  }
+}
+
+export default new LeagueCatalogService();
@@ -0,0 +1,333 @@
+/**
+ * League Ratings Service
+ * Attack/defence ratings per team and home advantage per league, fitted by maximum
+ * likelihood over the league's recent results
+ *
+ * MODEL (multiplicative Poisson, Maher / Dixon-Coles style):
+ *   home goals ~ Poisson(base × home_advantage × attack[home] × defence[away])
+ *   away goals ~ Poisson(base × attack[away] × defence[home])
+ * `defence` is a conceding multiplier: below 1 is a better-than-average defence.
+ * Attack and defence average 1 across the league.
+ *
+ * FITTING:
+ * 1. Results come from the local results store, topped up with BetsAPI's ended
+ *    matches when the store holds fewer than MODEL_FIT_MIN_MATCHES for the league
+ * 2. Each match is weighted with the model's time decay, so recent form counts more
+ * 3. Parameters are solved by iterating the likelihood equations to a fixed point;
+ *    every team carries a small prior (FIT_PRIOR_GOALS) pulling it towards 1, so
+ *    teams with few matches do not get extreme ratings
+ * 4. Fits are cached and refreshed every MODEL_FIT_INTERVAL_HOURS for tracked
+ *    leagues, and fitted on demand for any other league
+ */
+
+import dotenv from 'dotenv';
+import betsAPIService from './betsapi.service.js';
+import betsAPIFixtures, { FixtureMissingError } from './betsapi-fixtures.service.js';
+import leagueCatalogService from './league-catalog.service.js';
+import resultsService from './results.service.js';
+import statisticalModelService from './statistical-model.service.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'league-ratings' });
+
+const FIT_PRIOR_GOALS = 2; // Pseudo-goals at the league average added to every team
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-6;
+
+const parseIds = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+class LeagueRatingsService {
+  constructor() {
+    this.tiers = parseIds(process.env.MODEL_FIT_TIERS || '1');
+    this.intervalHours = parseFloat(process.env.MODEL_FIT_INTERVAL_HOURS || 12);
+    this.lookbackDays = parseFloat(process.env.MODEL_FIT_DAYS || 365);
+    this.minMatches = parseInt(process.env.MODEL_FIT_MIN_MATCHES || 50);
+    this.pages = parseInt(process.env.MODEL_FIT_PAGES || 4);
+
+    this.fits = new Map();
+    this.insufficient = new Map(); // League ID -> { checked_at, matches } of the last fit without enough results
+    this.fitting = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Finished league matches for the fit window, store first, BetsAPI as top-up
+   */
+  async loadResults(leagueId, priority) {
+    const since = Math.floor(Date.now() / 1000) - this.lookbackDays * 86400;
+    const byId = new Map();
+
+    resultsService.all(leagueId)
+      .filter(result => result.start_time >= since)
+      .forEach(result => byId.set(result.match_id, {
+        time: result.start_time,
+        home: result.home,
+        away: result.away,
+        score: result.score
+      }));
+
+    if (byId.size < this.minMatches) {
+      const ended = await betsAPIService.getEndedMatches(leagueId, { maxPages: this.pages, priority });
+      ended
+        .filter(match => match.score && parseInt(match.start_time) >= since && !byId.has(String(match.match_id)))
+        .forEach(match => byId.set(String(match.match_id), {
+          time: parseInt(match.start_time),
+          home: match.home,
+          away: match.away,
+          score: match.score
+        }));
+    }
+
+    return [...byId.values()].filter(match => match.home?.id && match.away?.id);
+  }
+
+  /**
+   * Maximum-likelihood fit of the multiplicative Poisson model
+   * @param {Array} matches - { time, home: { id, name }, away: { id, name }, score: { home, away } }
+   */
+  fit(matches) {
+    const now = Date.now();
+    const rows = matches.map(match => ({
+      home: String(match.home.id),
+      away: String(match.away.id),
+      homeGoals: match.score.home,
+      awayGoals: match.score.away,
+      weight: statisticalModelService.matchWeight({ time: match.time }, now)
+    }));
+
+    const teams = new Map();
+    matches.forEach(match => {
+      [match.home, match.away].forEach(team => {
+        const id = String(team.id);
+        if (!teams.has(id)) teams.set(id, { name: team.name, matches: 0 });
+        teams.get(id).matches++;
+      });
+    });
+
+    const totalWeight = rows.reduce((sum, r) => sum + r.weight, 0);
+    const avgHome = rows.reduce((sum, r) => sum + r.weight * r.homeGoals, 0) / totalWeight;
+    const avgAway = rows.reduce((sum, r) => sum + r.weight * r.awayGoals, 0) / totalWeight;
+
+    const attack = new Map([...teams.keys()].map(id => [id, 1]));
+    const defence = new Map([...teams.keys()].map(id => [id, 1]));
+    let base = avgAway;
+    let homeAdvantage = avgAway > 0 ? avgHome / avgAway : 1;
+    let iterations = 0;
+    let converged = false;
+
+    while (iterations < MAX_ITERATIONS && !converged) {
+      iterations++;
+      let change = 0;
+
+      // attack[i] = goals scored / goals expected against average opposition
+      const scored = new Map();
+      const attackExposure = new Map();
+      rows.forEach(r => {
+        scored.set(r.home, (scored.get(r.home) || 0) + r.weight * r.homeGoals);
+        scored.set(r.away, (scored.get(r.away) || 0) + r.weight * r.awayGoals);
+        attackExposure.set(r.home, (attackExposure.get(r.home) || 0) + r.weight * base * homeAdvantage * defence.get(r.away));
+        attackExposure.set(r.away, (attackExposure.get(r.away) || 0) + r.weight * base * defence.get(r.home));
+      });
+      teams.forEach((_, id) => {
+        const prior = FIT_PRIOR_GOALS;
+        const value = (scored.get(id) + prior) / (attackExposure.get(id) + prior);
+        change = Math.max(change, Math.abs(value - attack.get(id)));
+        attack.set(id, value);
+      });
+
+      // defence[j] = goals conceded / goals expected from average attacks
+      const conceded = new Map();
+      const defenceExposure = new Map();
+      rows.forEach(r => {
+        conceded.set(r.away, (conceded.get(r.away) || 0) + r.weight * r.homeGoals);
+        conceded.set(r.home, (conceded.get(r.home) || 0) + r.weight * r.awayGoals);
+        defenceExposure.set(r.away, (defenceExposure.get(r.away) || 0) + r.weight * base * homeAdvantage * attack.get(r.home));
+        defenceExposure.set(r.home, (defenceExposure.get(r.home) || 0) + r.weight * base * attack.get(r.away));
+      });
+      teams.forEach((_, id) => {
+        const prior = FIT_PRIOR_GOALS;
+        const value = (conceded.get(id) + prior) / (defenceExposure.get(id) + prior);
+        change = Math.max(change, Math.abs(value - defence.get(id)));
+        defence.set(id, value);
+      });
+
+      // Re-centre ratings on 1 and move the scale into the base rate
+      const meanAttack = [...attack.values()].reduce((a, b) => a + b, 0) / attack.size;
+      const meanDefence = [...defence.values()].reduce((a, b) => a + b, 0) / defence.size;
+      attack.forEach((value, id) => attack.set(id, value / meanAttack));
+      defence.forEach((value, id) => defence.set(id, value / meanDefence));
+
+      // base and home advantage from the away and home goal totals
+      const awayExpected = rows.reduce((sum, r) => sum + r.weight * attack.get(r.away) * defence.get(r.home), 0);
+      const homeExpected = rows.reduce((sum, r) => sum + r.weight * attack.get(r.home) * defence.get(r.away), 0);
+      const newBase = (avgAway * totalWeight) / awayExpected;
+      const newHomeAdvantage = (avgHome * totalWeight) / (newBase * homeExpected);
+
+      change = Math.max(change, Math.abs(newBase - base), Math.abs(newHomeAdvantage - homeAdvantage));
+      base = newBase;
+      homeAdvantage = newHomeAdvantage;
+
+      converged = change < TOLERANCE;
+    }
+
+    const logLikelihood = rows.reduce((sum, r) => {
+      const lambda = base * homeAdvantage * attack.get(r.home) * defence.get(r.away);
+      const mu = base * attack.get(r.away) * defence.get(r.home);
+      return sum + r.weight * (
+        Math.log(statisticalModelService.poissonProbability(lambda, r.homeGoals)) +
+        Math.log(statisticalModelService.poissonProbability(mu, r.awayGoals))
+      );
+    }, 0);
+
+    return {
+      matches: rows.length,
+      teams: Object.fromEntries([...teams.entries()].map(([id, team]) => [id, {
+        team_id: id,
+        name: team.name,
+        attack: attack.get(id),
+        defence: defence.get(id),
+        matches: team.matches
+      }])),
+      base_rate: base,
+      home_advantage: homeAdvantage,
+      avg_home_goals: avgHome,
+      avg_away_goals: avgAway,
+      iterations,
+      converged,
+      log_likelihood: logLikelihood
+    };
+  }
+
+  /**
+   * A fit, or a "not enough results" outcome, younger than the refresh interval
+   */
+  isFresh(entry) {
+    return entry && Date.now() - Date.parse(entry.fitted_at || entry.checked_at) < this.intervalHours * 3600 * 1000;
+  }
+
+  /**
+   * Fit a league now (concurrent calls for the same league share one fit)
+   */
+  async refit(leagueId, { priority = 'interactive' } = {}) {
+    const key = String(leagueId);
+    if (this.fitting.has(key)) return this.fitting.get(key);
+
+    const job = (async () => {
+      const matches = await this.loadResults(key, priority);
+
+      if (matches.length < this.minMatches) {
+        log.info('not enough results to fit league', { league_id: key, matches: matches.length, required: this.minMatches });
+        this.insufficient.set(key, { checked_at: new Date().toISOString(), matches: matches.length });
+        return null;
+      }
+
+      const fit = {
+        league_id: key,
+        fitted_at: new Date().toISOString(),
+        ...this.fit(matches)
+      };
+
+      this.fits.set(key, fit);
+      this.insufficient.delete(key);
+      log.info('league ratings fitted', {
+        league_id: key,
+        matches: fit.matches,
+        teams: Object.keys(fit.teams).length,
+        home_advantage: fit.home_advantage,
+        iterations: fit.iterations,
+        converged: fit.converged
+      });
+      if (!fit.converged) {
+        log.warn('league ratings fit did not converge', { league_id: key, iterations: fit.iterations });
+      }
+      return fit;
+    })();
+
+    this.fitting.set(key, job);
+    try {
+      return await job;
+    } finally {
+      this.fitting.delete(key);
+    }
+  }
+
+  /**
+   * Current fit for a league, fitting it when missing or older than the refresh interval.
+   * A league found without enough results is not retried until the interval has passed.
+   */
+  async getFit(leagueId) {
+    const cached = this.fits.get(String(leagueId));
+    if (this.isFresh(cached)) return cached;
+    if (this.isFresh(this.insufficient.get(String(leagueId)))) return cached || null;
+
+    try {
+      return await this.refit(leagueId);
+    } catch (error) {
+      if (error instanceof FixtureMissingError) throw error;
+      log.warn('league fit failed', { league_id: leagueId, error: error.message });
+      return cached || null;
+    }
+  }
+
+  /**
+   * Last fit for a league without triggering a new one
+   */
+  getCachedFit(leagueId) {
+    return this.fits.get(String(leagueId)) || null;
+  }
+
+  /**
+   * Expected goals for a fixture from a fit, null when either team is not rated
+   */
+  expectedGoals(fit, homeTeamId, awayTeamId) {
+    const home = fit?.teams[String(homeTeamId)];
+    const away = fit?.teams[String(awayTeamId)];
+    if (!home || !away) return null;
+
+    return {
+      home: fit.base_rate * fit.home_advantage * home.attack * away.defence,
+      away: fit.base_rate * away.attack * home.defence,
+      home_rating: home,
+      away_rating: away
+    };
+  }
+
+  async refreshAll() {
+    const leagueIds = leagueCatalogService.getTierLeagueIds(this.tiers);
+
+    for (const leagueId of leagueIds) {
+      if (!betsAPIService.hasQuota('background')) {
+        log.warn('league fits paused - background quota exhausted', { league_id: leagueId });
+        return;
+      }
+
+      try {
+        await this.refit(leagueId, { priority: 'background' });
+      } catch (error) {
+        log.warn('league fit failed', { league_id: leagueId, error: error.message });
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      fitted_leagues: this.fits.size,
+      insufficient_leagues: this.insufficient.size,
+      refresh_interval_hours: this.intervalHours,
+      running: !!this.timer
+    };
+  }
+
+  start() {
+    // Replay mode only has the fixtures that were recorded - never refresh there
+    if (this.intervalHours <= 0 || this.timer || betsAPIFixtures.isReplaying) return;
+
+    setTimeout(() => this.refreshAll(), 30000).unref();
+    this.timer = setInterval(() => this.refreshAll(), this.intervalHours * 3600 * 1000);
+    this.timer.unref();
+  }
+}
+
+export default new LeagueRatingsService();
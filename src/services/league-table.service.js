@@ -0,0 +1,117 @@
+/**
+ * League Table Service
+ * League standings with form columns, and the standings context of a fixture
+ *
+ * DATA FLOW:
+ * 1. Overall/home/away tables come from BetsAPI /v3/league/table
+ * 2. Form columns (last 5 results, most recent first) are built from the league's
+ *    ended matches - overall form for the overall table, home-only and away-only
+ *    form for the home and away tables
+ */
+
+import betsAPIService from './betsapi.service.js';
+import { FixtureMissingError } from './betsapi-fixtures.service.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ service: 'league-table' });
+
+const FORM_LENGTH = 5;
+const FORM_PAGES = 2; // 100 recent matches covers several rounds of any league
+
+class LeagueTableService {
+  /**
+   * Last results per team from the league's recent ended matches
+   * @returns {Object} { overall, home, away } - Maps of team ID to result letters, most recent first
+   */
+  async getForm(leagueId) {
+    const form = { overall: new Map(), home: new Map(), away: new Map() };
+
+    let ended = [];
+    try {
+      ended = await betsAPIService.getEndedMatches(leagueId, { maxPages: FORM_PAGES });
+    } catch (error) {
+      if (error instanceof FixtureMissingError) throw error;
+      log.warn('form unavailable', { league_id: leagueId, error: error.message });
+      return form;
+    }
+
+    const push = (view, teamId, letter) => {
+      if (!teamId) return;
+      const key = String(teamId);
+      if (!form[view].has(key)) form[view].set(key, []);
+      const letters = form[view].get(key);
+      if (letters.length < FORM_LENGTH) letters.push(letter);
+    };
+
+    ended
+      .filter(match => match.score)
+      .sort((a, b) => parseInt(b.start_time) - parseInt(a.start_time))
+      .forEach(match => {
+        const { home, away } = match.score;
+        const homeLetter = home > away ? 'W' : (home === away ? 'D' : 'L');
+        const awayLetter = home > away ? 'L' : (home === away ? 'D' : 'W');
+
+        push('overall', match.home.id, homeLetter);
+        push('overall', match.away.id, awayLetter);
+        push('home', match.home.id, homeLetter);
+        push('away', match.away.id, awayLetter);
+      });
+
+    return form;
+  }
+
+  /**
+   * League table with a form column on every view
+   */
+  async getTable(leagueId) {
+    const [table, form] = await Promise.all([
+      betsAPIService.getLeagueTable(leagueId),
+      this.getForm(leagueId)
+    ]);
+
+    const withForm = (rows, view) => rows.map(row => ({
+      ...row,
+      form: (form[view].get(row.team_id) || []).join('')
+    }));
+
+    return {
+      ...table,
+      overall: withForm(table.overall, 'overall'),
+      home: withForm(table.home, 'home'),
+      away: withForm(table.away, 'away')
+    };
+  }
+
+  /**
+   * Standings context for a fixture: both teams' position, points and the gap between them.
+   * Returns null when the league has no table or either team is not in it.
+   */
+  async getMatchContext(leagueId, homeTeamId, awayTeamId) {
+    if (!leagueId) return null;
+
+    const table = await betsAPIService.getLeagueTable(leagueId);
+    const find = (teamId) => table.overall.find(row => row.team_id === String(teamId));
+    const home = find(homeTeamId);
+    const away = find(awayTeamId);
+
+    if (!home || !away) return null;
+
+    const summary = (row) => ({
+      position: row.position,
+      points: row.points,
+      played: row.played,
+      goal_difference: row.goal_difference,
+      ...(row.group && { group: row.group })
+    });
+
+    return {
+      home: summary(home),
+      away: summary(away),
+      points_gap: home.points - away.points,
+      position_gap: away.position - home.position,
+      teams: table.overall.length
+    };
+  }
+}
+
+export default new LeagueTableService();
@@ -0,0 +1,104 @@
+/**
+ * Match Stats Service
+ * Per-match corners, shots, cards, offsides and fouls from each team's recent fixtures,
+ * the input of the stats model (see calculateMatchStatsPredictions)
+ *
+ * DATA FLOW:
+ * 1. The fixture's event history lists each team's recent matches
+ * 2. Stats come from the local results store when the match was ingested, otherwise
+ *    from the match's event view (cached for a day, finished matches do not change)
+ * 3. Each match becomes a team-perspective sample: every stat for and against the team
+ */
+
+import dotenv from 'dotenv';
+import betsAPIService from './betsapi.service.js';
+import { FixtureMissingError } from './betsapi-fixtures.service.js';
+import resultsService from './results.service.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'match-stats' });
+
+// Modelled stats and how each is read from a stored result's `stats`
+const STATS = {
+  corners: stats => stats.corners,
+  shots: stats => stats.shots,
+  shots_on_target: stats => stats.shots_on_target,
+  cards: stats => (stats.yellow_cards || stats.red_cards ? {
+    home: (stats.yellow_cards?.home || 0) + (stats.red_cards?.home || 0),
+    away: (stats.yellow_cards?.away || 0) + (stats.red_cards?.away || 0)
+  } : null),
+  offsides: stats => stats.offsides,
+  fouls: stats => stats.fouls
+};
+
+class MatchStatsService {
+  constructor() {
+    this.matches = parseInt(process.env.MODEL_STATS_MATCHES || 8); // Recent matches per team
+    this.concurrency = parseInt(process.env.MODEL_STATS_CONCURRENCY || 3);
+  }
+
+  /**
+   * Stored result of a finished match, preferring the results store over an upstream call
+   */
+  async getResult(matchId) {
+    const stored = resultsService.store.get(String(matchId));
+    if (stored) return stored;
+    return betsAPIService.getMatchResult(matchId);
+  }
+
+  /**
+   * Team-perspective sample of a finished match: { match_id, venue, stats: { corners: { for, against } } },
+   * null when the match has no stats
+   */
+  toTeamSample(result, teamId) {
+    if (!result.stats) return null;
+
+    const isHome = String(result.home.id) === String(teamId);
+    const stats = {};
+    Object.entries(STATS).forEach(([key, read]) => {
+      const pair = read(result.stats);
+      if (pair) stats[key] = { for: isHome ? pair.home : pair.away, against: isHome ? pair.away : pair.home };
+    });
+
+    return Object.keys(stats).length > 0
+      ? { match_id: result.match_id, venue: isHome ? 'home' : 'away', stats }
+      : null;
+  }
+
+  /**
+   * Samples from a team's most recent finished matches (event history entries)
+   */
+  async getTeamSamples(matches, teamId) {
+    const recent = (matches || []).filter(match => match.ss).slice(0, this.matches);
+    const results = await mapWithConcurrency(recent, this.concurrency, match => this.getResult(match.id));
+
+    return results.flatMap(({ value, error }, i) => {
+      if (error instanceof FixtureMissingError) throw error;
+      if (error) {
+        log.debug('match stats unavailable', { match_id: recent[i].id, error: error.message });
+        return [];
+      }
+      const sample = this.toTeamSample(value, teamId);
+      return sample ? [sample] : [];
+    });
+  }
+
+  /**
+   * Recent stats samples for both sides of a fixture
+   * @returns {Object} { home: [sample], away: [sample] }
+   */
+  async getMatchStats(historyData, homeTeamId, awayTeamId) {
+    const [home, away] = await Promise.all([
+      this.getTeamSamples(historyData?.results?.home, homeTeamId),
+      this.getTeamSamples(historyData?.results?.away, awayTeamId)
+    ]);
+
+    log.debug('match stats loaded', { home_team_id: homeTeamId, away_team_id: awayTeamId, home: home.length, away: away.length });
+    return { home, away };
+  }
+}
+
+export default new MatchStatsService();
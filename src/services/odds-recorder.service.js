@@ -0,0 +1,300 @@
+/**
+ * Odds Recorder Service
+ * Background job that snapshots bookmaker odds for upcoming matches, so line
+ * movement can be analysed after BetsAPI has moved on
+ *
+ * METHODOLOGY:
+ * 1. Track the upcoming matches of the configured leagues (ODDS_RECORDER_LEAGUES,
+ *    or every league in ODDS_RECORDER_TIERS), refreshed every 30 minutes
+ * 2. Poll each match's odds summary on a cadence that tightens towards kick-off
+ * 3. Normalize every bookmaker market and store it only when its price or line
+ *    changed since the last stored snapshot
+ * 4. Drop snapshots older than the retention window
+ *
+ * All BetsAPI traffic here is background priority, so it never eats into the
+ * quota reserved for route traffic.
+ */
+
+import dotenv from 'dotenv';
+import betsAPIService from './betsapi.service.js';
+import betsAPIFixtures from './betsapi-fixtures.service.js';
+import leagueCatalogService from './league-catalog.service.js';
+import JsonlStore from './storage/jsonl.store.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'odds-recorder' });
+
+const FIXTURES_REFRESH_MS = 30 * 60 * 1000;
+const MAX_SNAPSHOTS = 5000;
+
+const parseIds = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+class OddsRecorderService {
+  constructor() {
+    this.enabled = process.env.ODDS_RECORDER_ENABLED === 'true';
+    this.leagueIds = parseIds(process.env.ODDS_RECORDER_LEAGUES);
+    this.tiers = parseIds(process.env.ODDS_RECORDER_TIERS || '1');
+    this.horizonHours = parseFloat(process.env.ODDS_RECORDER_HORIZON_HOURS || 48);
+    this.retentionDays = parseFloat(process.env.ODDS_RECORDER_RETENTION_DAYS || 30);
+    this.tickSeconds = parseInt(process.env.ODDS_RECORDER_TICK_SECONDS || 60);
+    this.concurrency = parseInt(process.env.ODDS_RECORDER_CONCURRENCY || 2);
+
+    // Polling cadence by time to kick-off, tightest window first
+    this.cadence = [
+      { within: 30, every: parseFloat(process.env.ODDS_RECORDER_KICKOFF_INTERVAL_MINUTES || 2) },
+      { within: parseFloat(process.env.ODDS_RECORDER_NEAR_HOURS || 6) * 60, every: parseFloat(process.env.ODDS_RECORDER_NEAR_INTERVAL_MINUTES || 10) },
+      { within: Infinity, every: parseFloat(process.env.ODDS_RECORDER_INTERVAL_MINUTES || 60) }
+    ];
+
+    this.matches = new Map();
+    this.lastPolled = new Map();
+    this.latest = new Map();
+    this.fixturesRefreshedAt = 0;
+    this.running = null;
+    this.timer = null;
+    this.stats = { ticks: 0, polls: 0, snapshots: 0, unchanged: 0, errors: 0 };
+
+    this.store = new JsonlStore({
+      filePath: process.env.ODDS_RECORDER_FILE || '.data/odds-snapshots.jsonl',
+      indexBy: 'match_id'
+    });
+
+    // Rebuild the "last stored price" view so a restart does not duplicate snapshots
+    this.store.find().forEach(snapshot => this.latest.set(this.snapshotKey(snapshot), snapshot));
+  }
+
+  snapshotKey({ match_id, bookmaker, market }) {
+    return `${match_id}:${bookmaker}:${market}`;
+  }
+
+  getLeagueIds() {
+    if (this.leagueIds.length > 0) return this.leagueIds;
+    return leagueCatalogService.getTierLeagueIds(this.tiers);
+  }
+
+  /**
+   * Minutes between polls for a match kicking off in `minutesToKickoff`
+   */
+  intervalFor(minutesToKickoff) {
+    return this.cadence.find(step => minutesToKickoff <= step.within).every;
+  }
+
+  /**
+   * Reload the upcoming matches of every tracked league
+   */
+  async refreshFixtures() {
+    const leagueIds = this.getLeagueIds();
+    const until = Math.floor(Date.now() / 1000) + this.horizonHours * 3600;
+
+    const results = await mapWithConcurrency(leagueIds, this.concurrency, leagueId =>
+      betsAPIService.getUpcomingMatchesPaged(leagueId, { until, priority: 'background' })
+    );
+
+    const matches = new Map();
+    results.forEach((result, i) => {
+      if (result.error) {
+        log.warn('could not load fixtures for league', { league_id: leagueIds[i], error: result.error.message });
+        return;
+      }
+
+      result.value
+        .filter(match => match.status === 'scheduled' && parseInt(match.start_time) <= until)
+        .forEach(match => matches.set(String(match.match_id), {
+          ...match,
+          league_id: match.league_id || leagueIds[i]
+        }));
+    });
+
+    this.matches = matches;
+    this.fixturesRefreshedAt = Date.now();
+    log.info('tracking upcoming matches', { leagues: leagueIds.length, matches: matches.size });
+  }
+
+  /**
+   * Matches whose next poll is due, dropping any that have kicked off
+   */
+  dueMatches(now = Date.now()) {
+    const due = [];
+
+    this.matches.forEach((match, matchId) => {
+      const minutesToKickoff = (parseInt(match.start_time) * 1000 - now) / 60000;
+
+      if (minutesToKickoff <= 0) {
+        this.matches.delete(matchId);
+        this.lastPolled.delete(matchId);
+        return;
+      }
+
+      const last = this.lastPolled.get(matchId) || 0;
+      if (now - last >= this.intervalFor(minutesToKickoff) * 60000) {
+        due.push({ match, minutesToKickoff });
+      }
+    });
+
+    // Closest kick-offs first, in case the quota runs out mid-tick
+    return due.sort((a, b) => a.minutesToKickoff - b.minutesToKickoff);
+  }
+
+  /**
+   * Poll one match and store every market whose price or line moved
+   * @returns {number} snapshots stored
+   */
+  async recordMatch(match, minutesToKickoff) {
+    // Always from BetsAPI: a cached payload would be stored as a snapshot taken now
+    const { bookmakers } = await betsAPIService.getMatchOdds(match.match_id, { priority: 'background', fresh: true });
+    const capturedAt = new Date().toISOString();
+    let stored = 0;
+
+    bookmakers.forEach(bookmaker => {
+      Object.values(bookmaker.markets).forEach(market => {
+        const snapshot = {
+          match_id: String(match.match_id),
+          league_id: match.league_id ? String(match.league_id) : null,
+          bookmaker: bookmaker.name,
+          market: market.market,
+          period: market.period,
+          odds: market.odds,
+          ...(market.handicap !== undefined && { handicap: market.handicap, line: market.line }),
+          updated_at: market.updated_at,
+          captured_at: capturedAt,
+          minutes_to_kickoff: Math.round(minutesToKickoff)
+        };
+
+        const key = this.snapshotKey(snapshot);
+        if (this.isUnchanged(this.latest.get(key), snapshot)) {
+          this.stats.unchanged++;
+          return;
+        }
+
+        this.store.append(snapshot);
+        this.latest.set(key, snapshot);
+        stored++;
+      });
+    });
+
+    this.stats.snapshots += stored;
+    return stored;
+  }
+
+  isUnchanged(previous, snapshot) {
+    if (!previous) return false;
+    if (previous.handicap !== snapshot.handicap) return false;
+    return Object.entries(snapshot.odds).every(([outcome, odds]) => previous.odds[outcome] === odds);
+  }
+
+  /**
+   * One scheduler pass: refresh fixtures if needed, then poll every due match
+   */
+  async tick() {
+    if (this.running) return this.running;
+
+    this.running = (async () => {
+      this.stats.ticks++;
+
+      if (Date.now() - this.fixturesRefreshedAt >= FIXTURES_REFRESH_MS) {
+        if (!betsAPIService.hasQuota('background')) {
+          log.warn('odds recorder paused - background quota exhausted');
+          return;
+        }
+        await this.refreshFixtures();
+        this.pruneExpired();
+      }
+
+      const due = this.dueMatches();
+      if (due.length === 0) return;
+
+      const results = await mapWithConcurrency(due, this.concurrency, async ({ match, minutesToKickoff }) => {
+        if (!betsAPIService.hasQuota('background')) return null;
+        const stored = await this.recordMatch(match, minutesToKickoff);
+        this.lastPolled.set(String(match.match_id), Date.now());
+        this.stats.polls++;
+        return stored;
+      });
+
+      results.forEach((result, i) => {
+        if (result.error) {
+          this.stats.errors++;
+          log.warn('odds snapshot failed', { match_id: due[i].match.match_id, error: result.error.message });
+        }
+      });
+
+      const stored = results.reduce((sum, r) => sum + (r.value || 0), 0);
+      log.debug('odds recorder tick', { due: due.length, stored });
+    })();
+
+    try {
+      return await this.running;
+    } catch (error) {
+      log.error('odds recorder tick failed', { error });
+    } finally {
+      this.running = null;
+    }
+  }
+
+  pruneExpired() {
+    if (this.retentionDays <= 0) return;
+
+    const cutoff = Date.now() - this.retentionDays * 86400 * 1000;
+    const removed = this.store.compact(snapshot => Date.parse(snapshot.captured_at) >= cutoff);
+    if (removed > 0) {
+      log.info('pruned old odds snapshots', { removed, retention_days: this.retentionDays });
+    }
+  }
+
+  /**
+   * Stored snapshots, oldest first
+   * @param {Object} query - { matchId, bookmaker, market, from, to (unix seconds), limit }
+   */
+  query({ matchId = null, bookmaker = null, market = null, from = null, to = null, limit = 1000 } = {}) {
+    const bookmakerNeedle = bookmaker?.toLowerCase();
+
+    const snapshots = this.store.find(matchId, snapshot => {
+      if (bookmakerNeedle && snapshot.bookmaker.toLowerCase() !== bookmakerNeedle) return false;
+      if (market && snapshot.market !== market) return false;
+      const time = Date.parse(snapshot.captured_at) / 1000;
+      if (from && time < from) return false;
+      if (to && time > to) return false;
+      return true;
+    });
+
+    snapshots.sort((a, b) => a.captured_at.localeCompare(b.captured_at));
+
+    const capped = Math.min(Math.max(parseInt(limit) || 1000, 1), MAX_SNAPSHOTS);
+    return {
+      snapshots: snapshots.slice(-capped),
+      count: Math.min(snapshots.length, capped),
+      total: snapshots.length
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      tracked_matches: this.matches.size,
+      stored_snapshots: this.store.size,
+      fixtures_refreshed_at: this.fixturesRefreshedAt ? new Date(this.fixturesRefreshedAt).toISOString() : null,
+      ...this.stats
+    };
+  }
+
+  start() {
+    // Replay mode only has the fixtures that were recorded - never poll there
+    if (!this.enabled || this.timer || betsAPIFixtures.isReplaying) return;
+
+    setTimeout(() => this.tick(), 10000).unref();
+    this.timer = setInterval(() => this.tick(), this.tickSeconds * 1000);
+    this.timer.unref();
+
+    log.info('odds recorder started', {
+      leagues: this.leagueIds.length > 0 ? this.leagueIds : `tiers ${this.tiers.join(',')}`,
+      horizon_hours: this.horizonHours,
+      cadence_minutes: this.cadence.map(step => step.every)
+    });
+  }
+}
+
+export default new OddsRecorderService();
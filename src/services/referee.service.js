@@ -0,0 +1,197 @@
+/**
+ * Referee Service
+ * Referee profiles built from the results store: cards, booking points and penalties
+ * per match, and how a referee's cards split between home and away sides
+ *
+ * Profiles are rebuilt from the stored results at startup and updated as new results
+ * are ingested, so nothing beyond the results store is persisted. Referees are matched
+ * by name, ignoring case and accents.
+ *
+ * BOOKINGS: a referee enters the bookings model as a factor on each side's expected
+ * cards - their home (away) cards per match over the average of every refereed match,
+ * shrunk towards 1 by REFEREE_PRIOR_MATCHES pseudo-matches - and as the share of their
+ * cards that are red. Booking points count 10 per yellow and 25 per red.
+ */
+
+import dotenv from 'dotenv';
+import resultsService from './results.service.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'referee' });
+
+const YELLOW_POINTS = 10;
+const RED_POINTS = 25;
+const RECENT_MATCHES = 10;
+
+/**
+ * "Szymon  Marciniak" and "szymon marciniák" -> "szymon marciniak"
+ */
+const normalizeName = (name) => name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const emptyTotals = () => ({ matches: 0, home_yellow: 0, away_yellow: 0, home_red: 0, away_red: 0, penalties: 0, penalty_matches: 0 });
+
+const perMatch = (total, matches) => (matches > 0 ? parseFloat((total / matches).toFixed(2)) : null);
+
+class RefereeService {
+  constructor() {
+    this.priorMatches = parseFloat(process.env.REFEREE_PRIOR_MATCHES || 10);
+
+    this.referees = new Map();
+    this.processed = new Set();
+    this.totals = emptyTotals();
+  }
+
+  /**
+   * Fold a stored result into its referee's profile and the all-referee totals;
+   * results without a referee or card stats are skipped
+   */
+  addResult(result) {
+    const yellow = result.stats?.yellow_cards;
+    if (!result.referee || !yellow || this.processed.has(result.match_id)) return;
+    this.processed.add(result.match_id);
+
+    const key = normalizeName(result.referee);
+    if (!this.referees.has(key)) {
+      this.referees.set(key, { name: result.referee, totals: emptyTotals(), leagues: new Set(), matches: [] });
+    }
+    const referee = this.referees.get(key);
+    const red = result.stats.red_cards || { home: 0, away: 0 };
+    const penalties = result.stats.penalties;
+
+    [referee.totals, this.totals].forEach(totals => {
+      totals.matches++;
+      totals.home_yellow += yellow.home;
+      totals.away_yellow += yellow.away;
+      totals.home_red += red.home;
+      totals.away_red += red.away;
+      if (penalties) {
+        totals.penalties += penalties.home + penalties.away;
+        totals.penalty_matches++;
+      }
+    });
+
+    if (result.league_id) referee.leagues.add(result.league_id);
+    referee.matches.push({
+      match_id: result.match_id,
+      start_time: result.start_time,
+      league_id: result.league_id,
+      home: result.home.name,
+      away: result.away.name,
+      yellow_cards: yellow,
+      red_cards: red,
+      penalties: penalties || null
+    });
+  }
+
+  /**
+   * Add every stored result not seen yet
+   */
+  catchUp() {
+    const before = this.processed.size;
+    resultsService.all().forEach(result => this.addResult(result));
+
+    if (this.processed.size > before) {
+      log.info('referee profiles caught up', { matches: this.processed.size - before, referees: this.referees.size });
+    }
+  }
+
+  /**
+   * Per-match rates for a set of totals
+   */
+  summarize(totals) {
+    const { matches } = totals;
+    const homeCards = totals.home_yellow + totals.home_red;
+    const awayCards = totals.away_yellow + totals.away_red;
+    const yellow = totals.home_yellow + totals.away_yellow;
+    const red = totals.home_red + totals.away_red;
+
+    return {
+      matches,
+      cards_per_match: perMatch(homeCards + awayCards, matches),
+      yellow_cards_per_match: perMatch(yellow, matches),
+      red_cards_per_match: perMatch(red, matches),
+      booking_points_per_match: perMatch(yellow * YELLOW_POINTS + red * RED_POINTS, matches),
+      home_cards_per_match: perMatch(homeCards, matches),
+      away_cards_per_match: perMatch(awayCards, matches),
+      home_card_share: homeCards + awayCards > 0 ? parseFloat((homeCards / (homeCards + awayCards)).toFixed(3)) : null,
+      penalties_per_match: perMatch(totals.penalties, totals.penalty_matches),
+      penalty_matches: totals.penalty_matches
+    };
+  }
+
+  /**
+   * A referee's profile with the all-referee average alongside, null when unknown
+   */
+  getProfile(name) {
+    const referee = name ? this.referees.get(normalizeName(name)) : null;
+    if (!referee) return null;
+
+    const recent = [...referee.matches].sort((a, b) => b.start_time - a.start_time);
+    return {
+      referee: referee.name,
+      leagues: [...referee.leagues],
+      ...this.summarize(referee.totals),
+      average: this.summarize(this.totals),
+      booking_factors: this.getBookingFactors(name),
+      last_match_time: recent[0]?.start_time || null,
+      recent: recent.slice(0, RECENT_MATCHES)
+    };
+  }
+
+  /**
+   * Referee inputs of the bookings model. An unknown referee (or none appointed yet)
+   * is neutral: factors of 1 and the all-referee red share (null before any refereed match).
+   * @returns {Object} { referee, matches, home_factor, away_factor, red_share }
+   */
+  getBookingFactors(name) {
+    const average = this.totals;
+    const cards = average.home_yellow + average.away_yellow + average.home_red + average.away_red;
+    const averageRedShare = cards > 0 ? (average.home_red + average.away_red) / cards : null;
+    const referee = name ? this.referees.get(normalizeName(name)) : null;
+
+    if (!referee || cards === 0) {
+      return {
+        referee: referee?.name || name || null,
+        matches: referee?.totals.matches || 0,
+        home_factor: 1,
+        away_factor: 1,
+        red_share: averageRedShare === null ? null : parseFloat(averageRedShare.toFixed(4))
+      };
+    }
+
+    const own = referee.totals;
+    const prior = this.priorMatches;
+    // Shrunk rate over the average rate: (own + prior × average) / (matches + prior) / average
+    const factor = (ownCards, averageCards) => {
+      const averageRate = averageCards / average.matches;
+      if (averageRate <= 0) return 1;
+      return ((ownCards + prior * averageRate) / (own.matches + prior)) / averageRate;
+    };
+    const ownCards = own.home_yellow + own.away_yellow + own.home_red + own.away_red;
+    const priorCards = prior * cards / average.matches;
+
+    return {
+      referee: referee.name,
+      matches: own.matches,
+      home_factor: parseFloat(factor(own.home_yellow + own.home_red, average.home_yellow + average.home_red).toFixed(3)),
+      away_factor: parseFloat(factor(own.away_yellow + own.away_red, average.away_yellow + average.away_red).toFixed(3)),
+      red_share: parseFloat(((own.home_red + own.away_red + priorCards * averageRedShare) / (ownCards + priorCards)).toFixed(4))
+    };
+  }
+
+  getStatus() {
+    return {
+      referees: this.referees.size,
+      refereed_matches: this.processed.size
+    };
+  }
+
+  start() {
+    this.catchUp();
+    resultsService.onResult(result => this.addResult(result));
+  }
+}
+
+export default new RefereeService();
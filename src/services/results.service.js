@@ -0,0 +1,268 @@
+/**
+ * Results Service
+ * Local store of finished matches, filled by a background ingestion job
+ *
+ * METHODOLOGY:
+ * 1. For every tracked league (RESULTS_LEAGUES, or every league in RESULTS_TIERS),
+ *    list the matches that ended over the last RESULTS_LOOKBACK_DAYS days
+ * 2. Fetch the event view of each match not stored yet: final and half-time
+ *    score, corners, cards, shots, xG and referee
+ * 3. Store one record per match (upserted by match ID) in a JSON Lines file
+ *
+ * The store is what ratings, league fits and referee profiles are built from,
+ * so it is read far more often than it is written.
+ */
+
+import dayjs from 'dayjs';
+import dotenv from 'dotenv';
+import betsAPIService from './betsapi.service.js';
+import betsAPIFixtures, { FixtureMissingError } from './betsapi-fixtures.service.js';
+import leagueCatalogService from './league-catalog.service.js';
+import JsonlStore from './storage/jsonl.store.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'results' });
+
+const MAX_RESULTS = 1000;
+export const MAX_ENDED_DAYS = 7;
+
+const parseIds = (value) => (value ? value.split(',').map(v => v.trim()).filter(Boolean) : []);
+
+class ResultsService {
+  constructor() {
+    this.enabled = process.env.RESULTS_INGEST_ENABLED === 'true';
+    this.leagueIds = parseIds(process.env.RESULTS_LEAGUES);
+    this.tiers = parseIds(process.env.RESULTS_TIERS || '1');
+    this.intervalMinutes = parseFloat(process.env.RESULTS_INGEST_INTERVAL_MINUTES || 60);
+    this.lookbackDays = parseInt(process.env.RESULTS_LOOKBACK_DAYS || 3);
+    this.concurrency = parseInt(process.env.RESULTS_CONCURRENCY || 2);
+
+    this.ingesting = null;
+    this.timer = null;
+    this.lastRunAt = null;
+    this.listeners = [];
+    this.stats = { runs: 0, ingested: 0, errors: 0 };
+
+    this.store = new JsonlStore({
+      filePath: process.env.RESULTS_FILE || '.data/results.jsonl',
+      key: 'match_id',
+      indexBy: 'league_id'
+    });
+  }
+
+  getLeagueIds() {
+    if (this.leagueIds.length > 0) return this.leagueIds;
+    return leagueCatalogService.getTierLeagueIds(this.tiers);
+  }
+
+  /**
+   * Call `listener(result)` for every newly ingested match
+   */
+  onResult(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * BetsAPI `day` values (YYYYMMDD) for the lookback window, oldest first
+   */
+  lookbackDayKeys() {
+    return Array.from({ length: this.lookbackDays }, (_, i) =>
+      dayjs().subtract(this.lookbackDays - 1 - i, 'day').format('YYYYMMDD')
+    );
+  }
+
+  /**
+   * Fetch and store one finished match
+   */
+  async ingestMatch(matchId, leagueId = null) {
+    const result = await betsAPIService.getMatchResult(matchId, { priority: 'background' });
+    if (!result.finished || !result.score) return null;
+
+    const record = {
+      ...result,
+      league_id: result.league_id || (leagueId ? String(leagueId) : null),
+      ingested_at: new Date().toISOString()
+    };
+    delete record.finished;
+
+    const isNew = !this.store.get(record.match_id);
+    this.store.append(record);
+    this.stats.ingested++;
+
+    if (isNew) {
+      this.listeners.forEach(listener => {
+        try {
+          listener(record);
+        } catch (error) {
+          log.warn('result listener failed', { match_id: record.match_id, error: error.message });
+        }
+      });
+    }
+
+    return record;
+  }
+
+  /**
+   * One ingestion pass over every tracked league and lookback day
+   * @returns {number} matches ingested
+   */
+  async ingest() {
+    if (this.ingesting) return this.ingesting;
+
+    this.ingesting = (async () => {
+      const leagueIds = this.getLeagueIds();
+      const jobs = leagueIds.flatMap(leagueId => this.lookbackDayKeys().map(day => ({ leagueId, day })));
+      let ingested = 0;
+
+      for (const { leagueId, day } of jobs) {
+        if (!betsAPIService.hasQuota('background')) {
+          log.warn('results ingestion paused - background quota exhausted', { league_id: leagueId, day });
+          break;
+        }
+
+        let ended;
+        try {
+          ended = await betsAPIService.getEndedMatches(leagueId, { day, priority: 'background' });
+        } catch (error) {
+          this.stats.errors++;
+          log.warn('could not list ended matches', { league_id: leagueId, day, error: error.message });
+          continue;
+        }
+
+        const missing = ended.filter(match => match.score && !this.store.get(match.match_id));
+        const results = await mapWithConcurrency(missing, this.concurrency, match =>
+          this.ingestMatch(match.match_id, leagueId)
+        );
+
+        results.forEach((result, i) => {
+          if (result.error) {
+            this.stats.errors++;
+            log.warn('could not ingest result', { match_id: missing[i].match_id, error: result.error.message });
+          } else if (result.value) {
+            ingested++;
+          }
+        });
+      }
+
+      this.stats.runs++;
+      this.lastRunAt = new Date();
+      log.info('results ingested', { leagues: leagueIds.length, days: this.lookbackDays, ingested, stored: this.store.size });
+      return ingested;
+    })();
+
+    try {
+      return await this.ingesting;
+    } catch (error) {
+      log.error('results ingestion failed', { error });
+      return 0;
+    } finally {
+      this.ingesting = null;
+    }
+  }
+
+  /**
+   * Finished matches straight from BetsAPI, across leagues and days, most recent first
+   * @param {Object} query - { leagueIds, from, to (unix seconds) }
+   */
+  async getEnded({ leagueIds, from, to }) {
+    const days = [];
+    for (let day = dayjs.unix(from).startOf('day'); day.unix() <= to; day = day.add(1, 'day')) {
+      days.push(day.format('YYYYMMDD'));
+    }
+
+    if (days.length > MAX_ENDED_DAYS) {
+      const error = new Error(`Date range too long (max ${MAX_ENDED_DAYS} days)`);
+      error.status = 400;
+      throw error;
+    }
+
+    const jobs = leagueIds.flatMap(leagueId => days.map(day => ({ leagueId, day })));
+    const results = await mapWithConcurrency(jobs, this.concurrency, ({ leagueId, day }) =>
+      betsAPIService.getEndedMatches(leagueId, { day })
+    );
+
+    const errors = [];
+    const seen = new Set();
+    const matches = [];
+
+    results.forEach((result, i) => {
+      if (result.error) {
+        // Partial results are fine live, but replay gaps must not be papered over
+        if (result.error instanceof FixtureMissingError) throw result.error;
+        errors.push({ league_id: jobs[i].leagueId, day: jobs[i].day, error: result.error.message });
+        return;
+      }
+
+      result.value.forEach(match => {
+        const time = parseInt(match.start_time);
+        if (time < from || time > to || seen.has(match.match_id)) return;
+        seen.add(match.match_id);
+        matches.push(match);
+      });
+    });
+
+    matches.sort((a, b) => parseInt(b.start_time) - parseInt(a.start_time));
+    return { matches, count: matches.length, errors };
+  }
+
+  /**
+   * Stored results, most recent first
+   * @param {Object} query - { leagueId, teamId, from, to (unix seconds), limit }
+   */
+  query({ leagueId = null, teamId = null, from = null, to = null, limit = 100 } = {}) {
+    const team = teamId ? String(teamId) : null;
+
+    const results = this.store.find(leagueId, result => {
+      if (team && result.home.id !== team && result.away.id !== team) return false;
+      if (from && result.start_time < from) return false;
+      if (to && result.start_time > to) return false;
+      return true;
+    });
+
+    results.sort((a, b) => b.start_time - a.start_time);
+
+    const capped = Math.min(Math.max(parseInt(limit) || 100, 1), MAX_RESULTS);
+    return {
+      results: results.slice(0, capped),
+      count: Math.min(results.length, capped),
+      total: results.length
+    };
+  }
+
+  /**
+   * Every stored result, oldest first - input for ratings and model fits
+   */
+  all(leagueId = null) {
+    return this.store.find(leagueId).sort((a, b) => a.start_time - b.start_time);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      stored_results: this.store.size,
+      last_run_at: this.lastRunAt?.toISOString() || null,
+      ...this.stats
+    };
+  }
+
+  start() {
+    // Replay mode only has the fixtures that were recorded - never ingest there
+    if (!this.enabled || this.timer || this.intervalMinutes <= 0 || betsAPIFixtures.isReplaying) return;
+
+    setTimeout(() => this.ingest(), 15000).unref();
+    this.timer = setInterval(() => this.ingest(), this.intervalMinutes * 60 * 1000);
+    this.timer.unref();
+
+    log.info('results ingestion started', {
+      leagues: this.leagueIds.length > 0 ? this.leagueIds : `tiers ${this.tiers.join(',')}`,
+      interval_minutes: this.intervalMinutes,
+      lookback_days: this.lookbackDays
+    });
+  }
+}
+
+export default new ResultsService();
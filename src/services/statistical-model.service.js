@@ -5,17 +5,84 @@
  * METHODOLOGY:
  * 1. Analyze H2H history (head-to-head matches)
  * 2. Calculate team attack/defense strength from recent form
- * 3. Use Poisson distribution for goal probabilities
- * 4. Apply home advantage factor
- * 5. Generate probabilities for 1X2, O/U 2.5, BTTS markets
+ * 3. Use Poisson distribution for goal probabilities, with the Dixon-Coles
+ *    correction for low scores (0-0, 1-0, 0-1, 1-1)
+ * 4. Apply home advantage factor, and a bounded tilt towards the side higher in the
+ *    league table (points gap per match and position gap)
+ * 5. Generate probabilities for 1X2, O/U 2.5, BTTS markets, and total / handicap
+ *    lines (whole, half and quarter) from the same score matrix
+ * 6. In play, condition those rates on the score, minute and red cards
+ * 7. Corners, shots, cards, offsides and fouls are counted separately: per-team rates from
+ *    both teams' recent match stats, priced as negative binomial counts (overdispersion
+ *    fitted from the same stats); bookings add the referee's card tendencies
+ *
+ * Older matches count less: every form and H2H match is weighted by an exponential
+ * time decay with a configurable half-life (MODEL_DECAY_HALF_LIFE_DAYS).
  */
 
+import logger from '../utils/logger.js';
+import { settleTotal, settleHandicap, fairLineOdds } from '../utils/asian-lines.js';
+import { createRandom, hashSeed, resample, quantile } from '../utils/sampling.js';
+
+const log = logger.child({ service: 'statistical-model' });
+
 class StatisticalModelService {
   constructor() {
     this.HOME_ADVANTAGE = 1.15; // 15% boost for home team
     this.FORM_WEIGHT = 0.7; // 70% weight on recent form vs H2H
     this.H2H_WEIGHT = 0.3; // 30% weight on H2H history
     this.RECENT_MATCHES_COUNT = 10; // Analyze last 10 matches
+    this.FIT_WEIGHT = parseFloat(process.env.MODEL_FIT_WEIGHT || 0.6); // Weight of league-fitted ratings vs form, when available
+    this.MAX_GOALS = 10; // Goals per team in the score matrix
+
+    // Lines priced in the 'Goal Line' and 'AH' outputs (bookmaker lines are priced on demand)
+    this.GOAL_LINES = [1.5, 1.75, 2, 2.25, 2.5, 2.75, 3, 3.25, 3.5];
+    this.HANDICAP_LINES = [-1.5, -1.25, -1, -0.75, -0.5, -0.25, 0, 0.25, 0.5, 0.75, 1, 1.25, 1.5];
+
+    // Elo tilt: at weight 1, each 100 rating points between the teams moves ~10% of expected goals
+    // from the weaker to the stronger side (0 = Elo is reported but not used)
+    this.ELO_WEIGHT = parseFloat(process.env.MODEL_ELO_WEIGHT || 0);
+    this.ELO_SCALE = 1000;
+
+    // Standings tilt: at most ±STANDINGS_WEIGHT (log scale) of expected goals moves towards the side
+    // higher in the table, from the points gap per match and the position gap; full weight once
+    // both teams have played STANDINGS_FULL_MATCHES
+    this.STANDINGS_WEIGHT = parseFloat(process.env.MODEL_STANDINGS_WEIGHT || 0.1);
+    this.STANDINGS_FULL_MATCHES = 10;
+
+    // Dixon-Coles: rho < 0 makes 0-0 and 1-1 more likely and 1-0/0-1 less likely than independent Poisson
+    this.DIXON_COLES = process.env.MODEL_DIXON_COLES !== 'false';
+    this.DC_RHO = parseFloat(process.env.MODEL_DC_RHO || -0.1);
+
+    // Time decay: a match this many days old counts half as much as one played today (0 = off)
+    this.DECAY_HALF_LIFE_DAYS = parseFloat(process.env.MODEL_DECAY_HALF_LIFE_DAYS || 180);
+
+    // Half split: share of goals scored in the first half, calibrated from half-time scores
+    this.FIRST_HALF_SHARE = 0.45; // Prior share (first halves are usually a little quieter)
+    this.HALF_PRIOR_GOALS = 20; // Pseudo-goals at the prior share, so a few matches cannot skew it
+
+    // Bootstrap: resample the H2H and form matches to put confidence intervals on every price
+    this.BOOTSTRAP_SAMPLES = parseInt(process.env.MODEL_BOOTSTRAP_SAMPLES || 200); // 0 = off
+    this.CONFIDENCE_LEVEL = parseFloat(process.env.MODEL_CONFIDENCE_LEVEL || 0.9);
+
+    // Stats model (corners, shots, cards, ...): per-team priors per match, and their weight in matches
+    this.STAT_PRIORS = { corners: 5, shots: 12.5, shots_on_target: 4.3, cards: 2, offsides: 2, fouls: 11.5 };
+    this.STAT_LABELS = {
+      corners: 'Corners', shots: 'Shots', shots_on_target: 'Shots On Target', cards: 'Cards', offsides: 'Offsides', fouls: 'Fouls'
+    };
+    this.STATS_PRIOR_MATCHES = 4;
+    this.STATS_MIN_DISPERSION_MATCHES = 8; // Fewer counts than this are priced as Poisson
+    this.STAT_LINE_OFFSETS = [-2, -1, -0.5, -0.25, 0, 0.25, 0.5, 1, 2];
+    this.TEAM_STAT_LINE_OFFSETS = [-1, 0, 1];
+    this.BOOKING_POINTS_LINE_OFFSETS = [-2, -1, 0, 1, 2]; // In steps of 10 points
+    this.DEFAULT_RED_SHARE = 0.05; // Share of cards that are red, without a referee profile
+
+    // In-play model
+    this.FIRST_HALF_STOPPAGE = 2; // Expected added minutes per half
+    this.SECOND_HALF_STOPPAGE = 4;
+    this.RED_CARD_ATTACK = 0.7; // Scoring rate multiplier per own red card
+    this.RED_CARD_OPPONENT = 1.2; // Scoring rate multiplier per opponent red card
+    this.LIVE_MAX_GOALS = 10; // Remaining goals per team considered in the score grid
   }
 
   /**
@@ -54,6 +121,19 @@ class StatisticalModelService {
     };
   }
 
+  /**
+   * Time-decay weight of a past match: exp(-xi * age in days), xi = ln 2 / half-life
+   */
+  matchWeight(match, now = Date.now()) {
+    if (this.DECAY_HALF_LIFE_DAYS <= 0 || !match.time) return 1;
+    const ageDays = Math.max((now - parseInt(match.time) * 1000) / 86400000, 0);
+    return Math.exp(-this.decayRate() * ageDays);
+  }
+
+  decayRate() {
+    return this.DECAY_HALF_LIFE_DAYS > 0 ? Math.LN2 / this.DECAY_HALF_LIFE_DAYS : 0;
+  }
+
   /**
    * Analyze team's recent form to calculate attack and defense strength
    */
@@ -71,6 +151,7 @@ class StatisticalModelService {
 
     let goalsScored = 0;
     let goalsConceded = 0;
+    let totalWeight = 0;
     let wins = 0;
     let draws = 0;
     let losses = 0;
@@ -86,9 +167,11 @@ class StatisticalModelService {
       const wasHome = match.home.id === teamId;
       const teamGoals = wasHome ? score.home : score.away;
       const oppGoals = wasHome ? score.away : score.home;
+      const weight = this.matchWeight(match);
 
-      goalsScored += teamGoals;
-      goalsConceded += oppGoals;
+      goalsScored += teamGoals * weight;
+      goalsConceded += oppGoals * weight;
+      totalWeight += weight;
 
       if (teamGoals > oppGoals) wins++;
       else if (teamGoals === oppGoals) draws++;
@@ -96,12 +179,38 @@ class StatisticalModelService {
     });
 
     return {
-      goalsScored: validMatches > 0 ? goalsScored / validMatches : 1.5,
-      goalsConceded: validMatches > 0 ? goalsConceded / validMatches : 1.5,
+      goalsScored: totalWeight > 0 ? goalsScored / totalWeight : 1.5,
+      goalsConceded: totalWeight > 0 ? goalsConceded / totalWeight : 1.5,
       wins,
       draws,
       losses,
-      matchCount: validMatches
+      matchCount: validMatches,
+      effectiveMatches: totalWeight
+    };
+  }
+
+  /**
+   * Attack/defence ratings for one team as the model sees them: goals scored and
+   * conceded per match over its recent results (the form inputs to expected goals)
+   * @param {Array} results - finished matches, most recent first: { home: { id }, score: { home, away } }
+   */
+  calculateTeamRatings(results, teamId) {
+    const matches = results
+      .filter(result => result.score)
+      .map(result => ({
+        ss: `${result.score.home}-${result.score.away}`,
+        time: result.start_time,
+        home: { id: result.home.id }
+      }));
+
+    const form = this.analyzeTeamForm(matches, true, teamId);
+
+    return {
+      method: 'recent form',
+      attack: form.goalsScored,
+      defence: form.goalsConceded,
+      home_attack: form.goalsScored * this.HOME_ADVANTAGE,
+      matches: form.matchCount
     };
   }
 
@@ -125,6 +234,7 @@ class StatisticalModelService {
     let awayWins = 0;
     let totalHomeGoals = 0;
     let totalAwayGoals = 0;
+    let totalWeight = 0;
     let validMatches = 0;
 
     h2hMatches.forEach(match => {
@@ -148,8 +258,10 @@ class StatisticalModelService {
         awayGoals = score.home;
       }
 
-      totalHomeGoals += homeGoals;
-      totalAwayGoals += awayGoals;
+      const weight = this.matchWeight(match);
+      totalHomeGoals += homeGoals * weight;
+      totalAwayGoals += awayGoals * weight;
+      totalWeight += weight;
 
       if (homeGoals > awayGoals) homeWins++;
       else if (homeGoals === awayGoals) draws++;
@@ -160,18 +272,20 @@ class StatisticalModelService {
       homeWins,
       draws,
       awayWins,
-      avgHomeGoals: validMatches > 0 ? totalHomeGoals / validMatches : 1.5,
-      avgAwayGoals: validMatches > 0 ? totalAwayGoals / validMatches : 1.5,
-      matchCount: validMatches
+      avgHomeGoals: totalWeight > 0 ? totalHomeGoals / totalWeight : 1.5,
+      avgAwayGoals: totalWeight > 0 ? totalAwayGoals / totalWeight : 1.5,
+      matchCount: validMatches,
+      effectiveMatches: totalWeight
     };
   }
 
   /**
    * Calculate expected goals using team strengths and home advantage
+   * (the league's fitted home advantage when there is one, HOME_ADVANTAGE otherwise)
    */
-  calculateExpectedGoals(homeForm, awayForm, h2hData) {
+  calculateExpectedGoals(homeForm, awayForm, h2hData, homeAdvantage = this.HOME_ADVANTAGE) {
     // Home team expected goals
-    let homeExpectedGoals = homeForm.goalsScored * this.HOME_ADVANTAGE;
+    let homeExpectedGoals = homeForm.goalsScored * homeAdvantage;
 
     // Away team expected goals
     let awayExpectedGoals = awayForm.goalsScored;
@@ -195,52 +309,76 @@ class StatisticalModelService {
   }
 
   /**
-   * Calculate 1X2 probabilities using Poisson distribution
+   * Dixon-Coles adjustment factor for a scoreline
+   * Only the four low scores are touched; every other score keeps its Poisson probability.
    */
-  calculate1X2Probabilities(homeGoals, awayGoals) {
-    let homeProbability = 0;
-    let drawProbability = 0;
-    let awayProbability = 0;
+  dixonColesTau(i, j, homeGoals, awayGoals, rho) {
+    if (i === 0 && j === 0) return 1 - homeGoals * awayGoals * rho;
+    if (i === 0 && j === 1) return 1 + homeGoals * rho;
+    if (i === 1 && j === 0) return 1 + awayGoals * rho;
+    if (i === 1 && j === 1) return 1 - rho;
+    return 1;
+  }
 
-    // Calculate probabilities for score combinations up to 6 goals each
-    for (let i = 0; i <= 6; i++) {
-      for (let j = 0; j <= 6; j++) {
-        const probHomeGoals = this.poissonProbability(homeGoals, i);
-        const probAwayGoals = this.poissonProbability(awayGoals, j);
-        const probScore = probHomeGoals * probAwayGoals;
+  /**
+   * Rho actually applied: the configured value, clamped so no adjusted probability goes negative
+   */
+  effectiveRho(homeGoals, awayGoals) {
+    if (!this.DIXON_COLES) return 0;
+    const lower = Math.max(-1 / homeGoals, -1 / awayGoals);
+    const upper = Math.min(1 / (homeGoals * awayGoals), 1);
+    return Math.min(Math.max(this.DC_RHO, lower), upper);
+  }
 
-        if (i > j) homeProbability += probScore;
-        else if (i === j) drawProbability += probScore;
-        else awayProbability += probScore;
+  /**
+   * Correct-score probability matrix: matrix[home goals][away goals], normalized to 1
+   * @param {number} rho - Dixon-Coles rho (0 = independent Poisson)
+   */
+  calculateScoreMatrix(homeGoals, awayGoals, rho = this.effectiveRho(homeGoals, awayGoals)) {
+    const matrix = [];
+    let total = 0;
+
+    for (let i = 0; i <= this.MAX_GOALS; i++) {
+      matrix[i] = [];
+      for (let j = 0; j <= this.MAX_GOALS; j++) {
+        const p = this.poissonProbability(homeGoals, i) *
+          this.poissonProbability(awayGoals, j) *
+          this.dixonColesTau(i, j, homeGoals, awayGoals, rho);
+        matrix[i][j] = p;
+        total += p;
       }
     }
 
-    // Normalize to ensure they sum to 1
-    const total = homeProbability + drawProbability + awayProbability;
+    return matrix.map(row => row.map(p => p / total));
+  }
 
+  /**
+   * Sum the matrix cells matching a scoreline predicate
+   */
+  sumMatrix(matrix, predicate) {
+    let total = 0;
+    matrix.forEach((row, i) => row.forEach((p, j) => {
+      if (predicate(i, j)) total += p;
+    }));
+    return total;
+  }
+
+  /**
+   * Calculate 1X2 probabilities from the score matrix
+   */
+  calculate1X2Probabilities(homeGoals, awayGoals, matrix = this.calculateScoreMatrix(homeGoals, awayGoals)) {
     return {
-      home: homeProbability / total,
-      draw: drawProbability / total,
-      away: awayProbability / total
+      home: this.sumMatrix(matrix, (i, j) => i > j),
+      draw: this.sumMatrix(matrix, (i, j) => i === j),
+      away: this.sumMatrix(matrix, (i, j) => i < j)
     };
   }
 
   /**
    * Calculate Over/Under 2.5 probabilities
    */
-  calculateOverUnderProbabilities(homeGoals, awayGoals) {
-    let under25 = 0;
-
-    // Calculate probability of total goals being 0, 1, or 2
-    for (let i = 0; i <= 6; i++) {
-      for (let j = 0; j <= 6; j++) {
-        if (i + j <= 2) {
-          const probHomeGoals = this.poissonProbability(homeGoals, i);
-          const probAwayGoals = this.poissonProbability(awayGoals, j);
-          under25 += probHomeGoals * probAwayGoals;
-        }
-      }
-    }
+  calculateOverUnderProbabilities(homeGoals, awayGoals, matrix = this.calculateScoreMatrix(homeGoals, awayGoals)) {
+    const under25 = this.sumMatrix(matrix, (i, j) => i + j <= 2);
 
     return {
       over: 1 - under25,
@@ -251,15 +389,8 @@ class StatisticalModelService {
   /**
    * Calculate BTTS (Both Teams To Score) probabilities
    */
-  calculateBTTSProbabilities(homeGoals, awayGoals) {
-    // Probability home team scores 0
-    const homeNoGoals = this.poissonProbability(homeGoals, 0);
-
-    // Probability away team scores 0
-    const awayNoGoals = this.poissonProbability(awayGoals, 0);
-
-    // Probability both score = 1 - P(home 0 or away 0)
-    const bothScore = 1 - (homeNoGoals + awayNoGoals - (homeNoGoals * awayNoGoals));
+  calculateBTTSProbabilities(homeGoals, awayGoals, matrix = this.calculateScoreMatrix(homeGoals, awayGoals)) {
+    const bothScore = this.sumMatrix(matrix, (i, j) => i > 0 && j > 0);
 
     return {
       yes: bothScore,
@@ -268,61 +399,558 @@ class StatisticalModelService {
   }
 
   /**
-   * Main method: Calculate all probabilities from historical data
+   * Total goals and goal difference (home minus away) distributions of a score matrix,
+   * as [value, probability] pairs - what total and handicap lines are settled on
    */
-  async calculateProbabilities(historyData, homeTeamId, awayTeamId) {
-    console.log('\n📊 ===== STATISTICAL MODEL CALCULATION =====');
+  scoreDistributions(matrix) {
+    const totals = new Map();
+    const differences = new Map();
 
-    if (!historyData || !historyData.results) {
-      console.log('⚠️ No history data available');
-      return null;
+    matrix.forEach((row, i) => row.forEach((p, j) => {
+      totals.set(i + j, (totals.get(i + j) || 0) + p);
+      differences.set(i - j, (differences.get(i - j) || 0) + p);
+    }));
+
+    const sorted = (map) => [...map.entries()].sort((a, b) => a[0] - b[0]);
+    return { total_goals: sorted(totals), goal_difference: sorted(differences) };
+  }
+
+  /**
+   * Win / half-win / push / half-loss / loss probabilities and fair odds for each side of a line
+   */
+  priceLine(line, settlements) {
+    return {
+      line,
+      ...Object.fromEntries(Object.entries(settlements).map(([side, outcomes]) => [side, {
+        ...outcomes,
+        fair_odds: fairLineOdds(outcomes)
+      }]))
+    };
+  }
+
+  /**
+   * Over/under on any whole, half or quarter total line
+   */
+  calculateTotalLines(distribution, lines = this.GOAL_LINES) {
+    return lines.map(line => this.priceLine(line, settleTotal(distribution, line)));
+  }
+
+  /**
+   * Asian handicap on any line, given from the home side (-0.5 = home gives half a goal)
+   */
+  calculateHandicapLines(distribution, lines = this.HANDICAP_LINES) {
+    return lines.map(line => this.priceLine(line, settleHandicap(distribution, line)));
+  }
+
+  /**
+   * Normalize a finished match with a half-time score: results store records and ended
+   * feed rows ({ score, ht_score }) or event history rows ({ ss, scores: { 1: ht, 2: ft } })
+   */
+  toHalfTimeSample(match) {
+    const pair = (entry) => (entry && entry.home !== undefined && entry.home !== ''
+      ? { home: parseInt(entry.home) || 0, away: parseInt(entry.away) || 0 }
+      : null);
+
+    const score = match.score || this.parseScore(match.ss) || pair(match.scores?.['2']);
+    const htScore = match.ht_score || pair(match.scores?.['1']);
+    if (!score || !htScore) return null;
+
+    const id = match.match_id || match.id;
+    return {
+      id: id ? String(id) : null,
+      time: match.start_time || match.time,
+      score,
+      ht_score: htScore
+    };
+  }
+
+  /**
+   * Share of home and away goals scored in the first half, time-weighted, with a prior
+   * towards FIRST_HALF_SHARE
+   * @param {Array} matches - any mix of shapes accepted by toHalfTimeSample (duplicates are skipped)
+   */
+  calibrateHalves(matches) {
+    const seen = new Set();
+    let count = 0;
+    let homeFirst = 0;
+    let homeTotal = 0;
+    let awayFirst = 0;
+    let awayTotal = 0;
+
+    matches.forEach(match => {
+      const sample = this.toHalfTimeSample(match);
+      if (!sample || seen.has(sample.id)) return;
+      if (sample.id) seen.add(sample.id);
+      count++;
+
+      const weight = this.matchWeight(sample);
+      homeFirst += weight * sample.ht_score.home;
+      homeTotal += weight * sample.score.home;
+      awayFirst += weight * sample.ht_score.away;
+      awayTotal += weight * sample.score.away;
+    });
+
+    const prior = this.HALF_PRIOR_GOALS;
+    return {
+      home: (homeFirst + prior * this.FIRST_HALF_SHARE) / (homeTotal + prior),
+      away: (awayFirst + prior * this.FIRST_HALF_SHARE) / (awayTotal + prior),
+      matches: count
+    };
+  }
+
+  /**
+   * Both halves as independent Poisson grids, with every (first half, second half) path
+   * rescaled so the full-time scores it adds up to match the full-time grid. Summing
+   * independent halves gives plain Poisson at full time, so without the rescaling the
+   * half markets would miss the Dixon-Coles low-score correction that 1X2 and the goal
+   * lines carry; with it, HT/FT summed over the half-time result is the full-time 1X2.
+   * @returns {Function} forEachPath((i, j, k, l, p) => ...) - first half i-j, second half k-l
+   */
+  halfPaths(expectedGoals, shares, fullTimeMatrix) {
+    const first = { home: expectedGoals.home * shares.home, away: expectedGoals.away * shares.away };
+    const second = { home: expectedGoals.home - first.home, away: expectedGoals.away - first.away };
+    const firstMatrix = this.calculateScoreMatrix(first.home, first.away, 0);
+    const secondMatrix = this.calculateScoreMatrix(second.home, second.away, 0);
+    const size = this.MAX_GOALS + 1;
+
+    // Full-time grid of the independent halves, then each full-time score's rescaling factor
+    const scale = Array.from({ length: size }, (_, home) => Array.from({ length: size }, (_, away) => {
+      let p = 0;
+      for (let i = 0; i <= home; i++) {
+        for (let j = 0; j <= away; j++) p += firstMatrix[i][j] * secondMatrix[home - i][away - j];
+      }
+      return p > 0 ? fullTimeMatrix[home][away] / p : 0;
+    }));
+
+    // First-half grid: each half-time score's paths summed over the second half
+    const firstHalfMatrix = firstMatrix.map((row, i) => row.map((p1, j) => {
+      let p = 0;
+      for (let k = 0; i + k < size; k++) {
+        const secondRow = secondMatrix[k];
+        const scaleRow = scale[i + k];
+        for (let l = 0; j + l < size; l++) p += secondRow[l] * scaleRow[j + l];
+      }
+      return p1 * p;
+    }));
+
+    return {
+      first,
+      second,
+      firstHalfMatrix,
+      forEachPath: (visit) => {
+        for (let i = 0; i < size; i++) {
+          for (let j = 0; j < size; j++) {
+            for (let k = 0; i + k < size; k++) {
+              for (let l = 0; j + l < size; l++) {
+                visit(i, j, k, l, firstMatrix[i][j] * secondMatrix[k][l] * scale[i + k][j + l]);
+              }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * First half alone: expected goals, score grid (rescaled to the full-time grid, see
+   * halfPaths), HT 1X2 and first-half distributions (all the bootstrap needs from the half model)
+   */
+  calculateFirstHalf(expectedGoals, shares, fullTimeMatrix = this.calculateScoreMatrix(expectedGoals.home, expectedGoals.away)) {
+    const paths = this.halfPaths(expectedGoals, shares, fullTimeMatrix);
+    const matrix = paths.firstHalfMatrix;
+
+    return {
+      expected: paths.first,
+      matrix,
+      probabilities: this.calculate1X2Probabilities(paths.first.home, paths.first.away, matrix),
+      distributions: this.scoreDistributions(matrix),
+      paths
+    };
+  }
+
+  /**
+   * First and second half model: expected goals split by the calibrated first-half share,
+   * each half a Poisson score grid, jointly rescaled to the full-time grid (see halfPaths)
+   * @returns {Object} { expected_goals, calibration, 'HT 1X2', 'HT Goal Line', 'HT/FT', 'Highest Scoring Half', distributions }
+   */
+  calculateHalves(
+    expectedGoals,
+    halfTimeMatches = [],
+    shares = this.calibrateHalves(halfTimeMatches),
+    fullTimeMatrix = this.calculateScoreMatrix(expectedGoals.home, expectedGoals.away)
+  ) {
+    const {
+      expected: first, probabilities: probHT, distributions: firstDistributions, paths
+    } = this.calculateFirstHalf(expectedGoals, shares, fullTimeMatrix);
+    const { second } = paths;
+
+    // HT/FT: half-time result, then the full-time result after adding the second half;
+    // highest scoring half compares the two halves' totals on the same paths
+    const result = (home, away) => (home > away ? 'home' : (home === away ? 'draw' : 'away'));
+    const htft = {};
+    ['home', 'draw', 'away'].forEach(ht => ['home', 'draw', 'away'].forEach(ft => { htft[`${ht}/${ft}`] = 0; }));
+    const highest = { first: 0, second: 0, tie: 0 };
+    paths.forEachPath((i, j, k, l, p) => {
+      htft[`${result(i, j)}/${result(i + k, j + l)}`] += p;
+      const half = i + j > k + l ? 'first' : (i + j === k + l ? 'tie' : 'second');
+      highest[half] += p;
+    });
+
+    return {
+      expected_goals: { first_half: first, second_half: second },
+      calibration: {
+        first_half_share: { home: shares.home, away: shares.away },
+        matches: shares.matches,
+        prior_share: this.FIRST_HALF_SHARE
+      },
+      'HT 1X2': {
+        probabilities: probHT,
+        fair_odds: this.toFairOdds(probHT)
+      },
+      'HT Goal Line': {
+        lines: this.calculateTotalLines(firstDistributions.total_goals, [0.5, 0.75, 1, 1.25, 1.5, 2.5]),
+        expected_total_goals: first.home + first.away
+      },
+      'HT/FT': {
+        probabilities: htft,
+        fair_odds: this.toFairOdds(htft)
+      },
+      'Highest Scoring Half': {
+        probabilities: highest,
+        fair_odds: this.toFairOdds(highest)
+      },
+      distributions: {
+        total_goals: firstDistributions.total_goals,
+        goal_difference: firstDistributions.goal_difference
+      }
+    };
+  }
+
+  /**
+   * Full correct-score grid and every market derived from it
+   * @returns {Object} { matrix, scorelines (most likely first), markets }
+   */
+  calculateScorelines(homeGoals, awayGoals, matrix = this.calculateScoreMatrix(homeGoals, awayGoals)) {
+    const priced = (probabilities) => ({ probabilities, fair_odds: this.toFairOdds(probabilities) });
+    const sum = (predicate) => this.sumMatrix(matrix, predicate);
+
+    const scorelines = matrix
+      .flatMap((row, i) => row.map((probability, j) => ({
+        score: `${i}-${j}`,
+        home: i,
+        away: j,
+        probability,
+        fair_odds: probability > 0 ? 1 / probability : null
+      })))
+      .sort((a, b) => b.probability - a.probability);
+
+    const prob1X2 = this.calculate1X2Probabilities(homeGoals, awayGoals, matrix);
+    const decided = prob1X2.home + prob1X2.away;
+
+    const teamTotals = (goalsOf) => Object.fromEntries([0.5, 1.5, 2.5, 3.5].map(line => {
+      const over = sum((i, j) => goalsOf(i, j) > line);
+      return [line, priced({ over, under: 1 - over })];
+    }));
+
+    const EXACT_TOTAL_MAX = 6; // Last bucket is "6+"
+    const exactTotal = {};
+    for (let n = 0; n < EXACT_TOTAL_MAX; n++) {
+      exactTotal[n] = sum((i, j) => i + j === n);
+    }
+    exactTotal[`${EXACT_TOTAL_MAX}+`] = sum((i, j) => i + j >= EXACT_TOTAL_MAX);
+
+    const MARGIN_MAX = 3; // Last bucket per side is "by 3+"
+    const margin = { draw: prob1X2.draw };
+    for (let m = 1; m <= MARGIN_MAX; m++) {
+      const matches = (diff) => (m === MARGIN_MAX ? diff >= m : diff === m);
+      const label = m === MARGIN_MAX ? `${m}+` : `${m}`;
+      margin[`home_by_${label}`] = sum((i, j) => matches(i - j));
+      margin[`away_by_${label}`] = sum((i, j) => matches(j - i));
     }
 
-    const { h2h, home: homeMatches, away: awayMatches } = historyData.results;
+    const homeCleanSheet = sum((i, j) => j === 0);
+    const awayCleanSheet = sum((i) => i === 0);
+
+    return {
+      matrix,
+      scorelines,
+      markets: {
+        'Double Chance': priced({
+          home_or_draw: prob1X2.home + prob1X2.draw,
+          home_or_away: decided,
+          draw_or_away: prob1X2.draw + prob1X2.away
+        }),
+        'Draw No Bet': priced({
+          home: decided > 0 ? prob1X2.home / decided : 0,
+          away: decided > 0 ? prob1X2.away / decided : 0
+        }),
+        'Win To Nil': priced({
+          home: sum((i, j) => i > 0 && j === 0),
+          away: sum((i, j) => j > 0 && i === 0)
+        }),
+        'Clean Sheet': {
+          home: priced({ yes: homeCleanSheet, no: 1 - homeCleanSheet }),
+          away: priced({ yes: awayCleanSheet, no: 1 - awayCleanSheet })
+        },
+        'Team Totals': {
+          home: teamTotals((i) => i),
+          away: teamTotals((i, j) => j)
+        },
+        'Exact Total Goals': priced(exactTotal),
+        'Winning Margin': priced(margin)
+      }
+    };
+  }
+
+  /**
+   * Model parameters reported in `metadata`
+   */
+  getParameters(expectedGoals, homeAdvantage = this.HOME_ADVANTAGE, fitWeight = 0, eloWeight = 0, standingsWeight = 0) {
+    return {
+      home_advantage: homeAdvantage,
+      fit_weight: fitWeight,
+      elo_weight: eloWeight,
+      standings_weight: standingsWeight,
+      form_weight: this.FORM_WEIGHT,
+      h2h_weight: this.H2H_WEIGHT,
+      recent_matches: this.RECENT_MATCHES_COUNT,
+      dixon_coles: {
+        enabled: this.DIXON_COLES,
+        rho: this.DC_RHO,
+        rho_applied: this.effectiveRho(expectedGoals.home, expectedGoals.away)
+      },
+      time_decay: {
+        enabled: this.DECAY_HALF_LIFE_DAYS > 0,
+        half_life_days: this.DECAY_HALF_LIFE_DAYS,
+        xi_per_day: this.decayRate()
+      },
+      bootstrap: {
+        samples: this.BOOTSTRAP_SAMPLES,
+        confidence_level: this.CONFIDENCE_LEVEL
+      }
+    };
+  }
 
-    console.log(`\n📈 Data Summary:`);
-    console.log(`   H2H matches: ${h2h?.length || 0}`);
-    console.log(`   Home team recent matches: ${homeMatches?.length || 0}`);
-    console.log(`   Away team recent matches: ${awayMatches?.length || 0}`);
+  /**
+   * Standings tilt on expected goals: the points gap per match (out of 3) and the position
+   * gap (out of the table size) averaged into a -1..1 edge for the home side, scaled by
+   * STANDINGS_WEIGHT and by how much of the season both teams have played
+   * @returns {Object} { tilt (home multiplier, away divisor), weight (applied), edge }
+   */
+  standingsTilt(standings) {
+    const neutral = { tilt: 1, weight: 0, edge: 0 };
+    if (!standings || this.STANDINGS_WEIGHT <= 0) return neutral;
 
+    const { home, away } = standings;
+    const played = Math.min(home.played, away.played);
+    // Positions in different groups are not comparable
+    if (!played || home.group !== away.group) return neutral;
+
+    const pointsEdge = (home.points / home.played - away.points / away.played) / 3;
+    const positionEdge = standings.teams > 1 ? (away.position - home.position) / (standings.teams - 1) : 0;
+    const edge = Math.min(Math.max((pointsEdge + positionEdge) / 2, -1), 1);
+    const weight = this.STANDINGS_WEIGHT * Math.min(played / this.STANDINGS_FULL_MATCHES, 1);
+
+    return { tilt: Math.exp(weight * edge), weight, edge };
+  }
+
+  /**
+   * Expected goals from H2H and form, blended with the league fit and tilted by Elo and standings
+   */
+  estimateExpectedGoals(h2h, homeMatches, awayMatches, homeTeamId, awayTeamId, context = {}) {
     // Analyze H2H
     const h2hData = this.analyzeH2H(h2h, homeTeamId, awayTeamId);
-    console.log(`\n⚔️ Head-to-Head Analysis:`);
-    console.log(`   Home wins: ${h2hData.homeWins}, Draws: ${h2hData.draws}, Away wins: ${h2hData.awayWins}`);
-    console.log(`   Avg goals - Home: ${h2hData.avgHomeGoals.toFixed(2)}, Away: ${h2hData.avgAwayGoals.toFixed(2)}`);
 
     // Analyze team forms
     const homeForm = this.analyzeTeamForm(homeMatches, true, homeTeamId);
     const awayForm = this.analyzeTeamForm(awayMatches, false, awayTeamId);
 
-    console.log(`\n🏠 Home Team Form (last ${homeForm.matchCount} matches):`);
-    console.log(`   Record: ${homeForm.wins}W-${homeForm.draws}D-${homeForm.losses}L`);
-    console.log(`   Goals: ${homeForm.goalsScored.toFixed(2)} scored, ${homeForm.goalsConceded.toFixed(2)} conceded`);
+    // Calculate expected goals
+    const leagueFit = context.leagueFit || null;
+    const homeAdvantage = leagueFit?.home_advantage || this.HOME_ADVANTAGE;
+    const formExpectedGoals = this.calculateExpectedGoals(homeForm, awayForm, h2hData, homeAdvantage);
+
+    // Blend with the league-fitted ratings when both teams are rated
+    const fitWeight = leagueFit?.expected_goals ? this.FIT_WEIGHT : 0;
+    const blendedExpectedGoals = fitWeight > 0
+      ? {
+          home: fitWeight * leagueFit.expected_goals.home + (1 - fitWeight) * formExpectedGoals.home,
+          away: fitWeight * leagueFit.expected_goals.away + (1 - fitWeight) * formExpectedGoals.away
+        }
+      : formExpectedGoals;
+
+    // Tilt towards the Elo favourite (home advantage is already in the expected goals)
+    const elo = context.elo || null;
+    const eloWeight = elo && !elo.home.seeded && !elo.away.seeded ? this.ELO_WEIGHT : 0;
+    const eloTilt = Math.exp(eloWeight * (elo?.diff || 0) / this.ELO_SCALE);
+
+    // Tilt towards the side higher in the table (bounded, see standingsTilt)
+    const standings = this.standingsTilt(context.standings);
+    const expectedGoals = {
+      home: blendedExpectedGoals.home * eloTilt * standings.tilt,
+      away: blendedExpectedGoals.away / eloTilt / standings.tilt
+    };
+
+    return {
+      h2hData, homeForm, awayForm, formExpectedGoals, expectedGoals, homeAdvantage, leagueFit, fitWeight, elo, eloWeight, standings
+    };
+  }
 
-    console.log(`\n✈️ Away Team Form (last ${awayForm.matchCount} matches):`);
-    console.log(`   Record: ${awayForm.wins}W-${awayForm.draws}D-${awayForm.losses}L`);
-    console.log(`   Goals: ${awayForm.goalsScored.toFixed(2)} scored, ${awayForm.goalsConceded.toFixed(2)} conceded`);
+  /**
+   * Bootstrap: resample the H2H and form matches with replacement (the league fit and
+   * Elo inputs stay fixed), re-estimate expected goals and reprice on every resample.
+   * Resampling is seeded by the fixture, so the same inputs give the same intervals.
+   * @returns {Object} { level, samples: [{ expected_goals, '1X2', 'O/U 2.5', 'BTTS', distributions, halves }] }
+   */
+  bootstrap(historyResults, homeTeamId, awayTeamId, context, halfShares) {
+    if (this.BOOTSTRAP_SAMPLES <= 0) return null;
+
+    const random = createRandom(hashSeed(`${homeTeamId}:${awayTeamId}`));
+    const valid = (matches) => (matches || []).filter(match => this.parseScore(match.ss));
+    const h2hPool = valid(historyResults.h2h);
+    const homePool = valid((historyResults.home || []).slice(0, this.RECENT_MATCHES_COUNT));
+    const awayPool = valid((historyResults.away || []).slice(0, this.RECENT_MATCHES_COUNT));
+
+    const samples = Array.from({ length: this.BOOTSTRAP_SAMPLES }, () => {
+      const { expectedGoals } = this.estimateExpectedGoals(
+        resample(h2hPool, random),
+        resample(homePool, random),
+        resample(awayPool, random),
+        homeTeamId,
+        awayTeamId,
+        context
+      );
+
+      const matrix = this.calculateScoreMatrix(expectedGoals.home, expectedGoals.away);
+      const firstHalf = this.calculateFirstHalf(expectedGoals, halfShares, matrix);
 
-    // Calculate expected goals
-    const expectedGoals = this.calculateExpectedGoals(homeForm, awayForm, h2hData);
-    console.log(`\n🎯 Expected Goals (Poisson λ):`);
-    console.log(`   Home: ${expectedGoals.home.toFixed(2)}`);
-    console.log(`   Away: ${expectedGoals.away.toFixed(2)}`);
+      return {
+        expected_goals: expectedGoals,
+        '1X2': this.calculate1X2Probabilities(expectedGoals.home, expectedGoals.away, matrix),
+        'O/U 2.5': this.calculateOverUnderProbabilities(expectedGoals.home, expectedGoals.away, matrix),
+        'BTTS': this.calculateBTTSProbabilities(expectedGoals.home, expectedGoals.away, matrix),
+        distributions: this.scoreDistributions(matrix),
+        halves: { 'HT 1X2': firstHalf.probabilities, distributions: firstHalf.distributions }
+      };
+    });
+
+    return { level: this.CONFIDENCE_LEVEL, samples };
+  }
+
+  /**
+   * Confidence interval on each outcome's probability and fair price across bootstrap samples
+   * @param {Function} pick - sample => { outcome: probability }
+   */
+  confidenceInterval(bootstrap, pick) {
+    if (!bootstrap) return null;
+
+    const tail = (1 - bootstrap.level) / 2;
+    const picked = bootstrap.samples.map(pick);
+    const probabilities = {};
+    const fairOdds = {};
+
+    Object.keys(picked[0]).forEach(outcome => {
+      const values = picked.map(sample => sample[outcome]);
+      const lower = quantile(values, tail);
+      const upper = quantile(values, 1 - tail);
+      probabilities[outcome] = { lower, upper };
+      fairOdds[outcome] = { lower: upper > 0 ? 1 / upper : null, upper: lower > 0 ? 1 / lower : null };
+    });
 
-    // Calculate probabilities for each market
-    const prob1X2 = this.calculate1X2Probabilities(expectedGoals.home, expectedGoals.away);
-    const probOU = this.calculateOverUnderProbabilities(expectedGoals.home, expectedGoals.away);
-    const probBTTS = this.calculateBTTSProbabilities(expectedGoals.home, expectedGoals.away);
+    return { level: bootstrap.level, samples: bootstrap.samples.length, probabilities, fair_odds: fairOdds };
+  }
+
+  /**
+   * Adds a confidence interval on each side's fair odds to every priced line
+   * @param {Function} pick - sample => the distribution the lines settle on
+   * @param {Function} settle - settleTotal or settleHandicap
+   */
+  addLineIntervals(lines, bootstrap, pick, settle) {
+    if (!bootstrap) return lines;
+
+    const tail = (1 - bootstrap.level) / 2;
+    const distributions = bootstrap.samples.map(pick);
 
-    console.log(`\n🎲 Calculated Probabilities:`);
-    console.log(`   1X2: Home ${(prob1X2.home * 100).toFixed(1)}%, Draw ${(prob1X2.draw * 100).toFixed(1)}%, Away ${(prob1X2.away * 100).toFixed(1)}%`);
-    console.log(`   O/U 2.5: Over ${(probOU.over * 100).toFixed(1)}%, Under ${(probOU.under * 100).toFixed(1)}%`);
-    console.log(`   BTTS: Yes ${(probBTTS.yes * 100).toFixed(1)}%, No ${(probBTTS.no * 100).toFixed(1)}%`);
+    return lines.map(priced => {
+      const sampleOdds = distributions.map(distribution => settle(distribution, priced.line));
+      const fairOdds = Object.fromEntries(Object.keys(sampleOdds[0]).map(side => {
+        const values = sampleOdds.map(settlements => fairLineOdds(settlements[side])).filter(odds => odds !== null);
+        return [side, { lower: quantile(values, tail), upper: quantile(values, 1 - tail) }];
+      }));
 
-    // Calculate match statistics predictions (pass historyData for historical context)
-    const statsPredictions = this.calculateMatchStatsPredictions(homeForm, awayForm, expectedGoals, historyData);
+      return { ...priced, confidence_interval: { level: bootstrap.level, samples: bootstrap.samples.length, fair_odds: fairOdds } };
+    });
+  }
+
+  /**
+   * Main method: Calculate all probabilities from historical data
+   * @param {Object} context - { standings: league table context from LeagueTableService.getMatchContext,
+   *                             leagueFit: { home_advantage, expected_goals, ... } from LeagueRatingsService,
+   *                             elo: { home, away, diff, ... } from EloService.getMatchRatings,
+   *                             halfTimeResults: finished league matches with half-time scores,
+   *                             matchStats: { home, away } recent stats samples from MatchStatsService,
+   *                             referee: booking factors from RefereeService.getBookingFactors,
+   *                             bootstrap: false skips the confidence intervals, for callers that
+   *                             only need point estimates }
+   */
+  async calculateProbabilities(historyData, homeTeamId, awayTeamId, context = {}) {
+    if (!historyData || !historyData.results) {
+      log.warn('no history data available', { home_team_id: homeTeamId, away_team_id: awayTeamId });
+      return null;
+    }
+
+    const { h2h, home: homeMatches, away: awayMatches } = historyData.results;
+    const {
+      h2hData, homeForm, awayForm, formExpectedGoals, expectedGoals, homeAdvantage, leagueFit, fitWeight, elo, eloWeight, standings
+    } = this.estimateExpectedGoals(h2h, homeMatches, awayMatches, homeTeamId, awayTeamId, context);
+
+    log.debug('model inputs', { h2h: h2hData, home_form: homeForm, away_form: awayForm });
+
+    // Calculate probabilities for each market from one score matrix
+    const matrix = this.calculateScoreMatrix(expectedGoals.home, expectedGoals.away);
+    const prob1X2 = this.calculate1X2Probabilities(expectedGoals.home, expectedGoals.away, matrix);
+    const probOU = this.calculateOverUnderProbabilities(expectedGoals.home, expectedGoals.away, matrix);
+    const probBTTS = this.calculateBTTSProbabilities(expectedGoals.home, expectedGoals.away, matrix);
+    const distributions = this.scoreDistributions(matrix);
+
+    log.info('model calculated', {
+      home_team_id: homeTeamId,
+      away_team_id: awayTeamId,
+      expected_goals: expectedGoals,
+      '1X2': prob1X2,
+      'O/U 2.5': probOU,
+      BTTS: probBTTS
+    });
 
-    console.log('📊 ==========================================\n');
+    // Corners, shots, cards, offsides and fouls from both teams' recent match stats
+    const { predictions: statsPredictions, distributions: statsDistributions } =
+      this.calculateMatchStatsPredictions(context.matchStats);
+    distributions.corners = statsDistributions.corners;
+
+    // Bookings: team discipline with the appointed referee's tendencies
+    const bookings = this.calculateBookings(statsPredictions.cards, context.referee);
+    distributions.cards = bookings.distributions.cards;
+    distributions.booking_points = bookings.distributions.booking_points;
+
+    // Half split, calibrated on the fixture's own history plus the league's stored results
+    const halfShares = this.calibrateHalves([
+      ...(h2h || []),
+      ...(homeMatches || []),
+      ...(awayMatches || []),
+      ...(context.halfTimeResults || [])
+    ]);
+    const halves = this.calculateHalves(expectedGoals, [], halfShares, matrix);
+
+    // Uncertainty from the size of the H2H and form samples: intervals on 1X2, O/U 2.5, BTTS, HT 1X2
+    // and the goal line / handicap ladders. HT/FT and highest scoring half would need the full
+    // second-half grid per sample, and corners / bookings do not use the resampled matches.
+    const bootstrap = context.bootstrap === false
+      ? null
+      : this.bootstrap(historyData.results, homeTeamId, awayTeamId, context, halfShares);
+    halves['HT 1X2'].confidence_interval = this.confidenceInterval(bootstrap, sample => sample.halves['HT 1X2']);
+    halves['HT Goal Line'].lines = this.addLineIntervals(
+      halves['HT Goal Line'].lines, bootstrap, sample => sample.halves.distributions.total_goals, settleTotal
+    );
 
     return {
       '1X2': {
@@ -332,13 +960,14 @@ class StatisticalModelService {
           draw: 1 / prob1X2.draw,
           away: 1 / prob1X2.away
         },
-        explanation: `Calculated from ${h2hData.matchCount} H2H matches, ${homeForm.matchCount} home team matches, ${awayForm.matchCount} away team matches. Expected goals: ${expectedGoals.home.toFixed(2)} - ${expectedGoals.away.toFixed(2)}.`,
+        explanation: `Calculated from ${h2hData.matchCount} H2H matches, ${homeForm.matchCount} home team matches, ${awayForm.matchCount} away team matches. Expected goals: ${expectedGoals.home.toFixed(2)} - ${expectedGoals.away.toFixed(2)}.${fitWeight > 0 ? ` Blended ${Math.round(fitWeight * 100)}% with league-fitted ratings from ${leagueFit.matches} league matches.` : ''}`,
         data_quality: {
           h2h_matches: h2hData.matchCount,
           home_form_matches: homeForm.matchCount,
           away_form_matches: awayForm.matchCount,
           reliability: this.calculateReliability(h2hData.matchCount, homeForm.matchCount, awayForm.matchCount)
-        }
+        },
+        confidence_interval: this.confidenceInterval(bootstrap, sample => sample['1X2'])
       },
       'O/U 2.5': {
         probabilities: probOU,
@@ -346,6 +975,7 @@ class StatisticalModelService {
           over: 1 / probOU.over,
           under: 1 / probOU.under
         },
+        confidence_interval: this.confidenceInterval(bootstrap, sample => sample['O/U 2.5']),
         explanation: `Based on expected total goals of ${(expectedGoals.home + expectedGoals.away).toFixed(2)} from statistical analysis.`,
         expected_total_goals: expectedGoals.home + expectedGoals.away
       },
@@ -355,274 +985,472 @@ class StatisticalModelService {
           yes: 1 / probBTTS.yes,
           no: 1 / probBTTS.no
         },
+        confidence_interval: this.confidenceInterval(bootstrap, sample => sample['BTTS']),
         explanation: `Based on team scoring rates. Home averages ${homeForm.goalsScored.toFixed(2)} goals, away averages ${awayForm.goalsScored.toFixed(2)} goals.`,
         team_scoring: {
           home_avg: homeForm.goalsScored,
           away_avg: awayForm.goalsScored
         }
       },
+      'Goal Line': {
+        lines: this.addLineIntervals(
+          this.calculateTotalLines(distributions.total_goals), bootstrap, sample => sample.distributions.total_goals, settleTotal
+        ),
+        expected_total_goals: expectedGoals.home + expectedGoals.away
+      },
+      'AH': {
+        lines: this.addLineIntervals(
+          this.calculateHandicapLines(distributions.goal_difference), bootstrap, sample => sample.distributions.goal_difference, settleHandicap
+        ),
+        expected_goal_difference: expectedGoals.home - expectedGoals.away
+      },
+      halves,
+      bookings,
+      distributions,
+      bootstrap,
       metadata: {
-        model: 'Statistical Poisson',
+        model: this.DIXON_COLES ? 'Statistical Poisson (Dixon-Coles)' : 'Statistical Poisson',
         home_expected_goals: expectedGoals.home,
         away_expected_goals: expectedGoals.away,
         h2h_summary: h2hData,
         home_form: homeForm,
-        away_form: awayForm
+        away_form: awayForm,
+        standings: context.standings
+          ? { ...context.standings, edge: standings.edge, expected_goals_tilt: standings.tilt }
+          : null,
+        form_expected_goals: formExpectedGoals,
+        league_fit: leagueFit,
+        elo,
+        parameters: this.getParameters(expectedGoals, homeAdvantage, fitWeight, eloWeight, standings.weight)
       },
       stats_predictions: statsPredictions
     };
   }
 
   /**
-   * Calculate reliability score based on available data
+   * Minutes of play left, including expected stoppage time
    */
-  calculateReliability(h2hCount, homeFormCount, awayFormCount) {
-    let score = 0;
+  remainingMinutes(liveState) {
+    const minute = liveState.minute || 0;
 
-    // H2H contribution (max 30 points)
-    score += Math.min(h2hCount * 5, 30);
+    if (liveState.period !== '2nd half' && minute < 45) {
+      return (45 - minute) + this.FIRST_HALF_STOPPAGE + 45 + this.SECOND_HALF_STOPPAGE;
+    }
 
-    // Form data contribution (max 70 points)
-    score += Math.min(homeFormCount * 3.5, 35);
-    score += Math.min(awayFormCount * 3.5, 35);
+    if (minute < 90) {
+      return (90 - minute) + this.SECOND_HALF_STOPPAGE;
+    }
 
-    return Math.min(score, 100);
+    // Into stoppage time: use the announced added time when the feed has it
+    const added = liveState.added_time || this.SECOND_HALF_STOPPAGE;
+    return Math.max(added - (minute - 90), 1);
   }
 
   /**
-   * Analyze historical match statistics from past matches
+   * Fair odds for a probability set, null where an outcome can no longer happen
    */
-  analyzeHistoricalStats(matches) {
-    // Note: BetsAPI doesn't provide detailed stats for all matches
-    // This is a placeholder for when stats become available
-    // For now, we'll return null and rely on league averages
-    return {
-      corners: { min: null, max: null, avg: null, data: [] },
-      shots: { min: null, max: null, avg: null, data: [] },
-      cards: { min: null, max: null, avg: null, data: [] }
-    };
+  toFairOdds(probabilities) {
+    return Object.fromEntries(Object.entries(probabilities)
+      .map(([outcome, probability]) => [outcome, probability > 0 ? 1 / probability : null]));
   }
 
   /**
-   * Calculate match statistics predictions (corners, shots, cards, etc.)
-   * These predictions are based on league averages and team form when available
-   */
-  calculateMatchStatsPredictions(homeForm, awayForm, expectedGoals, historyData = null) {
-    console.log('\n📊 ===== CALCULATING MATCH STATISTICS PREDICTIONS =====');
-
-    // League average multipliers (based on typical football statistics)
-    const CORNERS_PER_GOAL = 4.5; // Average corners per goal scored
-    const SHOTS_PER_GOAL = 7; // Average shots per goal
-    const SHOTS_ON_TARGET_RATIO = 0.35; // 35% of shots on target
-    const OFFSIDES_PER_GOAL = 2; // Average offsides per goal attempt
-    const FOULS_BASE = 12; // Base fouls per team per match
-    const CARDS_RATIO = 0.25; // 25% of fouls result in cards
-
-    // Calculate team attacking intent (more goals = more attacking stats)
-    const homeAttackingIntent = expectedGoals.home;
-    const awayAttackingIntent = expectedGoals.away;
-    const totalAttackingIntent = homeAttackingIntent + awayAttackingIntent;
-
-    // Corners prediction
-    const homeCorners = Math.round(homeAttackingIntent * CORNERS_PER_GOAL);
-    const awayCorners = Math.round(awayAttackingIntent * CORNERS_PER_GOAL);
-    const totalCorners = homeCorners + awayCorners;
-
-    // Shots prediction
-    const homeShots = Math.round(homeAttackingIntent * SHOTS_PER_GOAL);
-    const awayShots = Math.round(awayAttackingIntent * SHOTS_PER_GOAL);
-    const totalShots = homeShots + awayShots;
-
-    // Shots on target
-    const homeShotsOnTarget = Math.round(homeShots * SHOTS_ON_TARGET_RATIO);
-    const awayShotsOnTarget = Math.round(awayShots * SHOTS_ON_TARGET_RATIO);
-
-    // Offsides
-    const homeOffsides = Math.round(homeAttackingIntent * OFFSIDES_PER_GOAL);
-    const awayOffsides = Math.round(awayAttackingIntent * OFFSIDES_PER_GOAL);
-
-    // Fouls (higher in competitive matches)
-    const competitiveFactor = 1 + (Math.abs(homeAttackingIntent - awayAttackingIntent) * 0.2);
-    const homeFouls = Math.round(FOULS_BASE * competitiveFactor);
-    const awayFouls = Math.round(FOULS_BASE * competitiveFactor);
-
-    // Cards
-    const homeCards = Math.round(homeFouls * CARDS_RATIO);
-    const awayCards = Math.round(awayFouls * CARDS_RATIO);
-
-    console.log(`\n🎯 Match Statistics Predictions:`);
-    console.log(`   Total Corners: ${totalCorners} (Home: ${homeCorners}, Away: ${awayCorners})`);
-    console.log(`   Total Shots: ${totalShots} (Home: ${homeShots}, Away: ${awayShots})`);
-    console.log(`   Shots on Target: Home ${homeShotsOnTarget}, Away ${awayShotsOnTarget}`);
-    console.log(`   Offsides: Home ${homeOffsides}, Away ${awayOffsides}`);
-    console.log(`   Fouls: Home ${homeFouls}, Away ${awayFouls}`);
-    console.log(`   Cards: Home ${homeCards}, Away ${awayCards}`);
-
-    // Analyze historical stats if available
-    let historicalStats = null;
-    if (historyData && historyData.results) {
-      const allMatches = [
-        ...(historyData.results.h2h || []),
-        ...(historyData.results.home || []),
-        ...(historyData.results.away || [])
-      ];
-      historicalStats = this.analyzeHistoricalStats(allMatches);
+   * In-play model: condition the pre-match expected goals on the live state
+   *
+   * The pre-match rates are scaled to the time left and adjusted for red cards,
+   * remaining goals for each side are Poisson, and every final-result market is
+   * priced by adding those remaining goals to the current score.
+   *
+   * @param {Object} prematch - result of calculateProbabilities
+   * @param {Object} liveState - { minute, period, added_time, score: { home, away }, red_cards: { home, away } }
+   */
+  calculateLiveProbabilities(prematch, liveState) {
+    if (!prematch) return null;
+
+    const { score, red_cards: redCards } = liveState;
+    const remaining = this.remainingMinutes(liveState);
+    const fraction = remaining / (90 + this.FIRST_HALF_STOPPAGE + this.SECOND_HALF_STOPPAGE);
+
+    const homeRate = prematch.metadata.home_expected_goals * fraction *
+      Math.pow(this.RED_CARD_ATTACK, redCards.home) * Math.pow(this.RED_CARD_OPPONENT, redCards.away);
+    const awayRate = prematch.metadata.away_expected_goals * fraction *
+      Math.pow(this.RED_CARD_ATTACK, redCards.away) * Math.pow(this.RED_CARD_OPPONENT, redCards.home);
+
+    const prob1X2 = { home: 0, draw: 0, away: 0 };
+    const totalGoals = [];
+    const finalTotals = new Map();
+    const remainingDifferences = new Map();
+    let bothScore = 0;
+    let gridTotal = 0;
+
+    for (let i = 0; i <= this.LIVE_MAX_GOALS; i++) {
+      for (let j = 0; j <= this.LIVE_MAX_GOALS; j++) {
+        const p = this.poissonProbability(homeRate, i) * this.poissonProbability(awayRate, j);
+        const finalHome = score.home + i;
+        const finalAway = score.away + j;
+
+        gridTotal += p;
+        if (finalHome > finalAway) prob1X2.home += p;
+        else if (finalHome === finalAway) prob1X2.draw += p;
+        else prob1X2.away += p;
+
+        if (finalHome > 0 && finalAway > 0) bothScore += p;
+        totalGoals[i + j] = (totalGoals[i + j] || 0) + p;
+        finalTotals.set(finalHome + finalAway, (finalTotals.get(finalHome + finalAway) || 0) + p);
+        remainingDifferences.set(i - j, (remainingDifferences.get(i - j) || 0) + p);
+      }
     }
 
-    // Calculate estimated corners from recent matches
-    const calculateEstimatedCorners = (matches) => {
-      if (!matches || matches.length === 0) return null;
+    Object.keys(prob1X2).forEach(outcome => { prob1X2[outcome] /= gridTotal; });
+    bothScore /= gridTotal;
+
+    // In-play total lines settle on the final score, but in-play Asian handicaps only on the
+    // goals scored after the bet (the current score counts as 0-0), so goal_difference is the
+    // remaining goals' difference here
+    const normalized = (map) => [...map.entries()].sort((a, b) => a[0] - b[0]).map(([value, p]) => [value, p / gridTotal]);
+    const distributions = {
+      total_goals: normalized(finalTotals),
+      goal_difference: normalized(remainingDifferences)
+    };
 
-      const cornerEstimates = matches
-        .filter(m => m.ss) // Only matches with scores
-        .slice(0, 10) // Last 10 matches
-        .map(m => {
-          const [home, away] = m.ss.split('-').map(Number);
-          return (home + away) * 4.5; // Estimate corners from total goals
-        });
+    // P(more than `line` further goals)
+    const overRemaining = (line) => 1 - totalGoals
+      .slice(0, Math.floor(line) + 1)
+      .reduce((sum, p) => sum + p, 0) / gridTotal;
 
-      if (cornerEstimates.length === 0) return null;
+    const currentTotal = score.home + score.away;
+    const probOU = currentTotal > 2.5
+      ? { over: 1, under: 0 }
+      : { over: overRemaining(2.5 - currentTotal), under: 1 - overRemaining(2.5 - currentTotal) };
+    const probBTTS = { yes: bothScore, no: 1 - bothScore };
 
+    const remainingLines = [0.5, 1.5, 2.5, 3.5].map(line => {
+      const over = overRemaining(line);
       return {
-        min: Math.round(Math.min(...cornerEstimates)),
-        max: Math.round(Math.max(...cornerEstimates)),
-        avg: Math.round(cornerEstimates.reduce((a, b) => a + b, 0) / cornerEstimates.length),
-        matches: cornerEstimates.length
+        line,
+        match_line: currentTotal + line,
+        probabilities: { over, under: 1 - over },
+        fair_odds: this.toFairOdds({ over, under: 1 - over })
       };
-    };
+    });
 
-    const recentCornerData = historyData?.results ?
-      calculateEstimatedCorners([
-        ...(historyData.results.home || []).slice(0, 5),
-        ...(historyData.results.away || []).slice(0, 5),
-        ...(historyData.results.h2h || []).slice(0, 5)
-      ]) : null;
+    log.info('live model calculated', {
+      minute: liveState.minute,
+      score,
+      red_cards: redCards,
+      remaining_minutes: remaining,
+      remaining_expected_goals: { home: homeRate, away: awayRate },
+      '1X2': prob1X2
+    });
 
-    // Generate predictions with confidence levels
-    const predictions = {
-      corners: {
-        total: {
-          prediction: totalCorners,
-          range: { min: Math.max(totalCorners - 3, 0), max: totalCorners + 3 },
-          confidence: this.calculateConfidence(totalCorners, 'corners'),
-          markets: this.generateCornerMarkets(totalCorners),
-          historical: recentCornerData ? {
-            note: 'Historical corner estimates from recent matches:',
-            recent_matches: `In last ${recentCornerData.matches} matches: Min ${recentCornerData.min} corners, Max ${recentCornerData.max} corners, Avg ${recentCornerData.avg} corners`,
-            h2h_note: `Home team averages ${(homeForm.goalsScored * 4.5).toFixed(1)} corners, Away team averages ${(awayForm.goalsScored * 4.5).toFixed(1)} corners`
-          } : {
-            note: 'Corner estimates based on attacking patterns:',
-            recent_matches: `Home team averages ${(homeForm.goalsScored * 4.5).toFixed(1)} corners per match, away team averages ${(awayForm.goalsScored * 4.5).toFixed(1)} corners per match.`,
-            h2h_note: 'Based on goal expectations'
-          }
-        },
-        home: homeCorners,
-        away: awayCorners
+    const state = `${score.home}-${score.away} after ${liveState.minute}'`;
+
+    return {
+      '1X2': {
+        probabilities: prob1X2,
+        fair_odds: this.toFairOdds(prob1X2),
+        explanation: `In-play at ${state}, ${remaining} minutes left. Remaining expected goals: ${homeRate.toFixed(2)} - ${awayRate.toFixed(2)}.`,
+        data_quality: prematch['1X2'].data_quality
       },
-      shots: {
-        total: {
-          prediction: totalShots,
-          range: { min: Math.max(totalShots - 5, 0), max: totalShots + 5 },
-          confidence: this.calculateConfidence(totalShots, 'shots')
-        },
-        home: homeShots,
-        away: awayShots
+      'O/U 2.5': {
+        probabilities: probOU,
+        fair_odds: this.toFairOdds(probOU),
+        explanation: `${currentTotal} goals scored, ${(homeRate + awayRate).toFixed(2)} more expected.`,
+        expected_total_goals: currentTotal + homeRate + awayRate
       },
-      shots_on_target: {
-        total: {
-          prediction: homeShotsOnTarget + awayShotsOnTarget,
-          range: { min: Math.max((homeShotsOnTarget + awayShotsOnTarget) - 3, 0), max: (homeShotsOnTarget + awayShotsOnTarget) + 3 },
-          confidence: this.calculateConfidence(homeShotsOnTarget + awayShotsOnTarget, 'shots_on_target')
-        },
-        home: homeShotsOnTarget,
-        away: awayShotsOnTarget
+      'BTTS': {
+        probabilities: probBTTS,
+        fair_odds: this.toFairOdds(probBTTS),
+        explanation: `In-play at ${state}.`,
+        team_scoring: {
+          home_remaining: homeRate,
+          away_remaining: awayRate
+        }
       },
-      offsides: {
-        total: homeOffsides + awayOffsides,
-        home: homeOffsides,
-        away: awayOffsides,
-        confidence: this.calculateConfidence(homeOffsides + awayOffsides, 'offsides')
+      'Remaining Goals': {
+        expected: homeRate + awayRate,
+        lines: remainingLines,
+        explanation: 'Goals still to come; match_line is the equivalent full-match total line.'
       },
-      fouls: {
-        total: homeFouls + awayFouls,
-        home: homeFouls,
-        away: awayFouls,
-        confidence: 70 // Fouls are moderately predictable
+      'Goal Line': {
+        lines: this.calculateTotalLines(distributions.total_goals),
+        expected_total_goals: currentTotal + homeRate + awayRate
       },
-      cards: {
-        total: homeCards + awayCards,
-        home: homeCards,
-        away: awayCards,
-        confidence: 60 // Cards have lower predictability
-      }
+      'AH': {
+        lines: this.calculateHandicapLines(distributions.goal_difference),
+        expected_goal_difference: homeRate - awayRate,
+        explanation: 'In-play handicap: only goals from now count (the current score is treated as 0-0).'
+      },
+      // Only the goal distributions are conditioned on the live state: the pre-match corners,
+      // cards and booking points ignore what has already happened, so those markets are not priced in play
+      distributions,
+      metadata: {
+        ...prematch.metadata,
+        model: 'Statistical Poisson (in-play)',
+        live: {
+          minute: liveState.minute,
+          period: liveState.period,
+          score,
+          red_cards: redCards,
+          remaining_minutes: remaining,
+          remaining_home_expected_goals: homeRate,
+          remaining_away_expected_goals: awayRate
+        }
+      },
+      stats_predictions: prematch.stats_predictions
     };
+  }
+
+  /**
+   * Calculate reliability score based on available data
+   */
+  calculateReliability(h2hCount, homeFormCount, awayFormCount) {
+    let score = 0;
 
-    console.log('📊 ===================================================\n');
+    // H2H contribution (max 30 points)
+    score += Math.min(h2hCount * 5, 30);
+
+    // Form data contribution (max 70 points)
+    score += Math.min(homeFormCount * 3.5, 35);
+    score += Math.min(awayFormCount * 3.5, 35);
 
-    return predictions;
+    return Math.min(score, 100);
   }
 
   /**
-   * Calculate Poisson cumulative probability for Over/Under
+   * Negative binomial distribution as [count, probability] pairs, with variance
+   * mean + mean² / dispersion; Poisson when there is no overdispersion (dispersion null)
    */
-  calculatePoissonOverUnder(lambda, line) {
-    // Calculate P(X > line) using cumulative distribution
-    let underProb = 0;
+  negativeBinomialDistribution(mean, dispersion) {
+    if (!dispersion) return this.poissonDistribution(mean);
+
+    const sd = Math.sqrt(mean + mean * mean / dispersion);
+    const max = Math.ceil(mean + 10 * Math.max(sd, 1));
+    const p = mean / (dispersion + mean);
+    const distribution = [[0, Math.pow(1 - p, dispersion)]];
 
-    // Sum P(X = k) for k from 0 to floor(line)
-    for (let k = 0; k <= Math.floor(line); k++) {
-      underProb += this.poissonProbability(lambda, k);
+    for (let k = 1; k <= max; k++) {
+      distribution.push([k, distribution[k - 1][1] * (k - 1 + dispersion) / k * p]);
     }
 
-    const overProb = 1 - underProb;
+    return distribution;
+  }
 
-    return { overProb, underProb };
+  /**
+   * Distribution of the sum of two independent counts
+   */
+  sumDistributions(a, b) {
+    const sums = new Array(a.length + b.length - 1).fill(0);
+    a.forEach(([i, pa]) => b.forEach(([j, pb]) => {
+      sums[i + j] += pa * pb;
+    }));
+    return sums.map((probability, k) => [k, probability]);
   }
 
   /**
-   * Generate corner betting markets using Poisson distribution
+   * Smallest count whose cumulative probability reaches q
    */
-  generateCornerMarkets(totalCorners) {
-    const markets = [];
+  distributionQuantile(distribution, q) {
+    let cumulative = 0;
+    const entry = distribution.find(([, probability]) => (cumulative += probability) >= q);
+    return entry ? entry[0] : distribution[distribution.length - 1][0];
+  }
 
-    // Over/Under markets with proper Poisson probabilities
-    const cornerLines = [8.5, 9.5, 10.5, 11.5, 12.5];
+  /**
+   * Method-of-moments dispersion of per-match counts around each group's own mean:
+   * r = mean² / (variance - mean). Null (Poisson) when the counts are not overdispersed
+   * or there are too few to tell.
+   * @param {Array} groups - lists of counts (one per team and direction: for / against)
+   */
+  fitDispersion(groups) {
+    const usable = groups.filter(counts => counts.length >= 2);
+    const count = usable.reduce((total, counts) => total + counts.length, 0);
+    if (count < this.STATS_MIN_DISPERSION_MATCHES) return null;
+
+    let sum = 0;
+    let squares = 0;
+    let degrees = 0;
+    usable.forEach(counts => {
+      const groupMean = counts.reduce((a, b) => a + b, 0) / counts.length;
+      sum += groupMean * counts.length;
+      squares += counts.reduce((total, value) => total + (value - groupMean) ** 2, 0);
+      degrees += counts.length - 1;
+    });
 
-    cornerLines.forEach(line => {
-      const { overProb, underProb } = this.calculatePoissonOverUnder(totalCorners, line);
+    const mean = sum / count;
+    const variance = squares / degrees;
+    return variance > mean ? (mean * mean) / (variance - mean) : null;
+  }
 
-      // Only show markets where we have >60% confidence in one direction
-      if (overProb >= 0.6 || underProb >= 0.6) {
-        const prediction = overProb > underProb ? 'Over' : 'Under';
-        const probability = Math.max(overProb, underProb);
+  /**
+   * Expected counts, distributions and over/under prices for one stat.
+   * Each side's rate is its own average for, scaled by what the opponent concedes
+   * relative to the prior (attack × defence / average), with both averages shrunk
+   * towards the prior by STATS_PRIOR_MATCHES pseudo-matches.
+   */
+  predictStat(key, homeSamples, awaySamples) {
+    const prior = this.STAT_PRIORS[key];
+    const label = this.STAT_LABELS[key];
+    const counts = (samples, direction) => samples.filter(s => s.stats[key]).map(s => s.stats[key][direction]);
+    const shrunk = (values) =>
+      (values.reduce((a, b) => a + b, 0) + prior * this.STATS_PRIOR_MATCHES) / (values.length + this.STATS_PRIOR_MATCHES);
+
+    const homeFor = counts(homeSamples, 'for');
+    const homeAgainst = counts(homeSamples, 'against');
+    const awayFor = counts(awaySamples, 'for');
+    const awayAgainst = counts(awaySamples, 'against');
+
+    const homeMean = shrunk(homeFor) * shrunk(awayAgainst) / prior;
+    const awayMean = shrunk(awayFor) * shrunk(homeAgainst) / prior;
+    const dispersion = this.fitDispersion([homeFor, homeAgainst, awayFor, awayAgainst]);
+
+    const homeDistribution = this.negativeBinomialDistribution(homeMean, dispersion);
+    const awayDistribution = this.negativeBinomialDistribution(awayMean, dispersion);
+    const distribution = this.sumDistributions(homeDistribution, awayDistribution);
+    const totalMean = homeMean + awayMean;
+    const round = (value) => parseFloat(value.toFixed(2));
 
-        markets.push({
-          market: `Corners O/U ${line}`,
-          prediction: prediction,
-          probability: probability,
-          reasoning: `Based on ${totalCorners} predicted corners. ${prediction} has ${(probability * 100).toFixed(0)}% probability.`
-        });
+    return {
+      distribution,
+      prediction: {
+        total: {
+          prediction: round(totalMean),
+          range: { min: this.distributionQuantile(distribution, 0.1), max: this.distributionQuantile(distribution, 0.9) },
+          markets: this.generateTotalMarkets(label, distribution, totalMean)
+        },
+        home: {
+          prediction: round(homeMean),
+          markets: this.generateTotalMarkets(`Home ${label}`, homeDistribution, homeMean, this.TEAM_STAT_LINE_OFFSETS)
+        },
+        away: {
+          prediction: round(awayMean),
+          markets: this.generateTotalMarkets(`Away ${label}`, awayDistribution, awayMean, this.TEAM_STAT_LINE_OFFSETS)
+        },
+        model: dispersion ? 'negative_binomial' : 'poisson',
+        dispersion: dispersion ? round(dispersion) : null,
+        matches: { home: homeFor.length, away: awayFor.length },
+        source: homeFor.length + awayFor.length > 0 ? 'history' : 'prior'
       }
+    };
+  }
+
+  /**
+   * Corners, shots, shots on target, cards (yellow + red), offsides and fouls from each
+   * team's recent per-match stats (MatchStatsService.getMatchStats)
+   * @returns {Object} { predictions: { corners: { total, home, away, ... } }, distributions: { corners: [...] } }
+   */
+  calculateMatchStatsPredictions(matchStats = null) {
+    const predictions = {};
+    const distributions = {};
+
+    Object.keys(this.STAT_PRIORS).forEach(key => {
+      const { prediction, distribution } = this.predictStat(key, matchStats?.home || [], matchStats?.away || []);
+      predictions[key] = prediction;
+      distributions[key] = distribution;
     });
 
-    return markets;
+    log.debug('match stats predictions', Object.fromEntries(Object.entries(predictions).map(([key, prediction]) => [key, {
+      home: prediction.home.prediction,
+      away: prediction.away.prediction,
+      dispersion: prediction.dispersion,
+      matches: prediction.matches
+    }])));
+
+    return { predictions, distributions };
   }
 
   /**
-   * Calculate confidence level for a prediction
+   * Bookings: each side's expected cards from its discipline (the cards stats model),
+   * scaled by the referee's home / away factors. Booking points count 10 per yellow and
+   * 25 per red; each card is red with the referee's red share, so n cards of which r red
+   * are worth 10n + 15r points.
+   * @param {Object} cards - stats_predictions.cards
+   * @param {Object} referee - { referee, matches, home_factor, away_factor, red_share } from
+   *                           RefereeService.getBookingFactors (null: neutral referee)
    */
-  calculateConfidence(value, type) {
-    // Higher variance stats have lower confidence
-    const confidenceMap = {
-      corners: 75, // Corners are fairly predictable
-      shots: 70,
-      shots_on_target: 68,
-      offsides: 60,
-      fouls: 65,
-      cards: 55
+  calculateBookings(cards, referee = null) {
+    const homeMean = cards.home.prediction * (referee?.home_factor ?? 1);
+    const awayMean = cards.away.prediction * (referee?.away_factor ?? 1);
+    const redShare = Math.min(Math.max(referee?.red_share ?? this.DEFAULT_RED_SHARE, 0), 1);
+    const totalMean = homeMean + awayMean;
+
+    const homeDistribution = this.negativeBinomialDistribution(homeMean, cards.dispersion);
+    const awayDistribution = this.negativeBinomialDistribution(awayMean, cards.dispersion);
+    const distribution = this.sumDistributions(homeDistribution, awayDistribution);
+
+    // Booking points: binomial number of reds among each card total (the recurrence
+    // divides by 1 - redShare, so a referee whose every card was red is taken directly)
+    const points = new Map();
+    distribution.forEach(([count, probability]) => {
+      if (redShare === 1) {
+        points.set(count * 25, (points.get(count * 25) || 0) + probability);
+        return;
+      }
+      let reds = Math.pow(1 - redShare, count);
+      for (let r = 0; r <= count; r++) {
+        const value = count * 10 + r * 15;
+        points.set(value, (points.get(value) || 0) + probability * reds);
+        reds *= (count - r) / (r + 1) * redShare / (1 - redShare);
+      }
+    });
+    const pointsDistribution = [...points.entries()].sort((a, b) => a[0] - b[0]);
+    const pointsMean = totalMean * (10 + 15 * redShare);
+    const round = (value) => parseFloat(value.toFixed(2));
+
+    return {
+      referee,
+      expected_cards: { home: round(homeMean), away: round(awayMean), total: round(totalMean) },
+      expected_booking_points: round(pointsMean),
+      'Cards': {
+        total: this.generateTotalMarkets('Cards', distribution, totalMean),
+        home: this.generateTotalMarkets('Home Cards', homeDistribution, homeMean, this.TEAM_STAT_LINE_OFFSETS),
+        away: this.generateTotalMarkets('Away Cards', awayDistribution, awayMean, this.TEAM_STAT_LINE_OFFSETS)
+      },
+      'Booking Points': {
+        total: this.generateTotalMarkets('Booking Points', pointsDistribution, pointsMean, this.BOOKING_POINTS_LINE_OFFSETS, 10)
+      },
+      distributions: {
+        cards: distribution,
+        booking_points: pointsDistribution
+      }
     };
+  }
 
-    return confidenceMap[type] || 60;
+  /**
+   * Poisson distribution as [count, probability] pairs, cut where the tail is negligible
+   */
+  poissonDistribution(lambda) {
+    const max = Math.ceil(lambda + 10 * Math.sqrt(Math.max(lambda, 1)));
+    return Array.from({ length: max + 1 }, (_, k) => [k, this.poissonProbability(lambda, k)]);
+  }
+
+  /**
+   * Total lines around the expected count (whole, half and quarter lines),
+   * priced on the count's distribution
+   * @param {number} step - line spacing (10 for booking points: 30.5, 40.5, ...)
+   */
+  generateTotalMarkets(label, distribution, mean, offsets = this.STAT_LINE_OFFSETS, step = 1) {
+    const centre = Math.floor(mean / step) * step + 0.5;
+    const lines = offsets.map(offset => centre + offset * step).filter(line => line > 0);
+
+    return this.calculateTotalLines(distribution, lines).map(({ line, over, under }) => {
+      // Over's share of the stakes that do not push (a half win / loss counts as half)
+      const overWeight = over.win + over.half_win / 2;
+      const decided = overWeight + over.loss + over.half_loss / 2;
+      const overShare = decided > 0 ? overWeight / decided : 0.5;
+      const prediction = overShare > 0.5 ? 'Over' : 'Under';
+      const probability = Math.max(overShare, 1 - overShare);
+
+      return {
+        market: `${label} O/U ${line}`,
+        line,
+        over,
+        under,
+        prediction,
+        probability,
+        reasoning: `Based on ${mean.toFixed(1)} expected. ${prediction} has ${(probability * 100).toFixed(0)}% probability${over.push > 0 || over.half_win > 0 || over.half_loss > 0 ? ' (pushes excluded)' : ''}.`
+      };
+    });
   }
 }
 
@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import logger from '../../utils/logger.js';
+
+const log = logger.child({ service: 'storage', driver: 'jsonl' });
+
+/**
+ * JSON Lines store
+ * Append-only record log kept in memory and on disk, one JSON record per line.
+ * No native dependencies, so it runs anywhere the file cache driver does.
+ *
+ * OPTIONS:
+ *   filePath - where the log lives
+ *   key      - record field that identifies a record; a later record with the
+ *              same key replaces the earlier one (upsert). Without a key every
+ *              record is kept (time series).
+ *   indexBy  - record field to group records by for fast lookups (e.g. match_id)
+ */
+class JsonlStore {
+  constructor(options = {}) {
+    this.filePath = path.resolve(options.filePath);
+    this.key = options.key || null;
+    this.indexBy = options.indexBy || null;
+    this.flushDelay = options.flushDelay || 1000;
+
+    this.records = [];
+    this.byKey = new Map();
+    this.index = new Map();
+    this.pending = [];
+    this.writeTimer = null;
+
+    this.load();
+  }
+
+  get size() {
+    return this.records.length;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    let lines = 0;
+    let skipped = 0;
+    fs.readFileSync(this.filePath, 'utf8').split('\n').forEach(line => {
+      if (!line.trim()) return;
+      lines++;
+      try {
+        this.add(JSON.parse(line));
+      } catch (error) {
+        // A torn last line after a crash should not lose the rest of the log
+        skipped++;
+      }
+    });
+
+    if (this.key && lines > this.records.length * 2) {
+      // Replaced records are dropped from memory; rewrite the file once they pile up
+      this.compact(() => true);
+    }
+
+    log.info('store loaded', { file: this.filePath, records: this.records.length, skipped });
+  }
+
+  /**
+   * Add a record in memory, replacing an earlier one with the same key
+   */
+  add(record) {
+    if (this.key) {
+      const id = String(record[this.key]);
+      const existing = this.byKey.get(id);
+      if (existing) {
+        this.records[this.records.indexOf(existing)] = record;
+        this.unindex(existing);
+      } else {
+        this.records.push(record);
+      }
+      this.byKey.set(id, record);
+    } else {
+      this.records.push(record);
+    }
+
+    if (this.indexBy) {
+      const group = String(record[this.indexBy]);
+      if (!this.index.has(group)) this.index.set(group, []);
+      this.index.get(group).push(record);
+    }
+  }
+
+  unindex(record) {
+    if (!this.indexBy) return;
+    const group = this.index.get(String(record[this.indexBy]));
+    if (!group) return;
+    const position = group.indexOf(record);
+    if (position >= 0) group.splice(position, 1);
+  }
+
+  /**
+   * Store a record and queue it for the next disk write
+   */
+  append(record) {
+    this.add(record);
+    this.pending.push(record);
+    this.scheduleWrite();
+    return record;
+  }
+
+  get(key) {
+    return this.byKey.get(String(key)) || null;
+  }
+
+  /**
+   * Records for one index group, or every record when no group is given
+   */
+  find(group = null, predicate = null) {
+    const records = group === null ? this.records : (this.index.get(String(group)) || []);
+    return predicate ? records.filter(predicate) : [...records];
+  }
+
+  scheduleWrite() {
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.flush();
+    }, this.flushDelay);
+    this.writeTimer.unref();
+  }
+
+  /**
+   * Write queued records to disk
+   */
+  flush() {
+    if (this.pending.length === 0) return;
+
+    const lines = this.pending.map(record => JSON.stringify(record)).join('\n') + '\n';
+    this.pending = [];
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, lines);
+    } catch (error) {
+      log.warn('could not write store file', { file: this.filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Keep only records matching `keep` and rewrite the file
+   * @returns {number} records removed
+   */
+  compact(keep) {
+    const before = this.records.length;
+    const kept = this.records.filter(keep);
+
+    this.records = [];
+    this.byKey.clear();
+    this.index.clear();
+    this.pending = [];
+    kept.forEach(record => this.add(record));
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, kept.map(record => JSON.stringify(record) + '\n').join(''));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (error) {
+      log.warn('could not compact store file', { file: this.filePath, error: error.message });
+    }
+
+    return before - kept.length;
+  }
+}
+
+export default JsonlStore;
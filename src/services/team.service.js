@@ -0,0 +1,174 @@
+/**
+ * Team Service
+ * Team profile: metadata, recent results with home/away splits, upcoming fixtures
+ * and the model's current attack/defence ratings
+ *
+ * DATA FLOW:
+ * 1. Recent and upcoming matches come from BetsAPI's event lists filtered by team
+ * 2. Team name, logo and country are taken from the most recent of those matches
+ *    (BetsAPI has no single-team endpoint)
+ * 3. xG comes from the local results store when the match was ingested, otherwise
+ *    from the match's event view
+ */
+
+import dotenv from 'dotenv';
+import betsAPIService from './betsapi.service.js';
+import { FixtureMissingError } from './betsapi-fixtures.service.js';
+import resultsService from './results.service.js';
+import leagueRatingsService from './league-ratings.service.js';
+import statisticalModelService from './statistical-model.service.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'team' });
+
+const MAX_LAST = 20;
+
+class TeamService {
+  constructor() {
+    this.concurrency = parseInt(process.env.TEAM_CONCURRENCY || 3);
+  }
+
+  /**
+   * xG for a finished match, preferring the results store over an upstream call
+   */
+  async getMatchXG(matchId) {
+    const stored = resultsService.store.get(matchId);
+    if (stored) return stored.stats?.xg || null;
+
+    const result = await betsAPIService.getMatchResult(matchId);
+    return result.stats?.xg || null;
+  }
+
+  /**
+   * Team-perspective view of a finished match
+   */
+  toTeamResult(match, teamId, xg) {
+    const isHome = String(match.home.id) === teamId;
+    const goalsFor = isHome ? match.score.home : match.score.away;
+    const goalsAgainst = isHome ? match.score.away : match.score.home;
+
+    return {
+      match_id: match.match_id,
+      start_time: match.start_time,
+      start_time_formatted: match.start_time_formatted,
+      league_id: match.league_id,
+      league_name: match.league_name,
+      venue: isHome ? 'home' : 'away',
+      opponent: isHome ? match.away : match.home,
+      score: match.score,
+      ht_score: match.ht_score,
+      goals_for: goalsFor,
+      goals_against: goalsAgainst,
+      xg_for: xg ? (isHome ? xg.home : xg.away) : null,
+      xg_against: xg ? (isHome ? xg.away : xg.home) : null,
+      result: goalsFor > goalsAgainst ? 'W' : (goalsFor === goalsAgainst ? 'D' : 'L')
+    };
+  }
+
+  /**
+   * Totals and per-match averages for a set of team results
+   */
+  summarize(results) {
+    const played = results.length;
+    const withXG = results.filter(r => r.xg_for !== null);
+    const count = (outcome) => results.filter(r => r.result === outcome).length;
+    const sum = (list, field) => list.reduce((total, r) => total + r[field], 0);
+    const average = (list, field) => (list.length > 0 ? parseFloat((sum(list, field) / list.length).toFixed(2)) : null);
+
+    return {
+      played,
+      wins: count('W'),
+      draws: count('D'),
+      losses: count('L'),
+      points: count('W') * 3 + count('D'),
+      goals_for: sum(results, 'goals_for'),
+      goals_against: sum(results, 'goals_against'),
+      goals_for_avg: average(results, 'goals_for'),
+      goals_against_avg: average(results, 'goals_against'),
+      xg_for_avg: average(withXG, 'xg_for'),
+      xg_against_avg: average(withXG, 'xg_against'),
+      xg_matches: withXG.length,
+      form: results.slice(0, 5).map(r => r.result).join('')
+    };
+  }
+
+  /**
+   * Fitted attack/defence for the team from its league's last fit (never triggers a fit)
+   */
+  getLeagueFitRating(leagueId, teamId) {
+    const fit = leagueRatingsService.getCachedFit(leagueId);
+    const rating = fit?.teams[teamId];
+    if (!rating) return null;
+
+    return {
+      league_id: fit.league_id,
+      fitted_at: fit.fitted_at,
+      attack: rating.attack,
+      defence: rating.defence,
+      home_advantage: fit.home_advantage
+    };
+  }
+
+  /**
+   * @param {Object} options - { last: number of recent results (max 20), upcoming: number of fixtures }
+   */
+  async getTeam(teamId, { last = 10, upcoming = 5 } = {}) {
+    const id = String(teamId);
+    const limit = Math.min(Math.max(parseInt(last) || 10, 1), MAX_LAST);
+
+    const [ended, fixtures] = await Promise.all([
+      betsAPIService.getEndedMatches(null, { teamId: id, maxPages: Math.ceil(limit / 50) }),
+      betsAPIService.getUpcomingMatchesPaged(null, { teamId: id, maxPages: 1 })
+    ]);
+
+    const finished = ended
+      .filter(match => match.score)
+      .sort((a, b) => parseInt(b.start_time) - parseInt(a.start_time))
+      .slice(0, limit);
+
+    if (finished.length === 0 && fixtures.length === 0) {
+      const error = new Error('Team not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const xgResults = await mapWithConcurrency(finished, this.concurrency, match => this.getMatchXG(match.match_id));
+    const recent = finished.map((match, i) => {
+      if (xgResults[i].error instanceof FixtureMissingError) throw xgResults[i].error;
+      if (xgResults[i].error) {
+        log.debug('xg unavailable', { match_id: match.match_id, error: xgResults[i].error.message });
+      }
+      return this.toTeamResult(match, id, xgResults[i].value || null);
+    });
+
+    // Metadata from the most recent match the team played, or its next fixture
+    const latest = finished[0] || fixtures[0];
+    const side = String(latest.home_team_id) === id ? 'home' : 'away';
+
+    return {
+      team: {
+        team_id: id,
+        name: latest[`${side}_team`],
+        logo: latest[`${side}_logo`],
+        country: latest[side]?.cc || null,
+        league: { league_id: latest.league_id, name: latest.league_name }
+      },
+      recent,
+      splits: {
+        overall: this.summarize(recent),
+        home: this.summarize(recent.filter(r => r.venue === 'home')),
+        away: this.summarize(recent.filter(r => r.venue === 'away'))
+      },
+      upcoming: fixtures.slice(0, upcoming),
+      ratings: {
+        ...statisticalModelService.calculateTeamRatings(finished, id),
+        league_fit: this.getLeagueFitRating(latest.league_id, id)
+      }
+    };
+  }
+}
+
+export default new TeamService();
@@ -0,0 +1,247 @@
+/**
+ * Upstream Scheduler Service
+ * Single gate for all BetsAPI traffic
+ *
+ * RESPONSIBILITIES:
+ * 1. Pace requests to a configurable requests-per-second rate
+ * 2. Track a daily request quota (resets at midnight UTC)
+ * 3. Retry transient failures (network errors, 429, 5xx) with jittered exponential backoff
+ * 4. Serve interactive (route) traffic before background work
+ * 5. Keep part of the daily quota in reserve for interactive traffic
+ */
+
+import { AsyncResource } from 'async_hooks';
+import dotenv from 'dotenv';
+import logger from '../utils/logger.js';
+
+dotenv.config();
+
+const log = logger.child({ service: 'upstream-scheduler' });
+
+const PRIORITIES = ['interactive', 'background'];
+const TRANSIENT_NETWORK_CODES = ['ECONNABORTED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'EPIPE'];
+
+export class QuotaExhaustedError extends Error {
+  constructor(message, retryAfterSeconds) {
+    super(message);
+    this.name = 'QuotaExhaustedError';
+    this.code = 'BETSAPI_QUOTA_EXHAUSTED';
+    this.status = 503;
+    this.retryAfter = retryAfterSeconds;
+  }
+}
+
+class UpstreamSchedulerService {
+  constructor() {
+    this.requestsPerSecond = parseFloat(process.env.BETSAPI_RPS || 1);
+    this.dailyQuota = parseInt(process.env.BETSAPI_DAILY_QUOTA || 86400);
+    this.backgroundReserve = parseFloat(process.env.BETSAPI_BACKGROUND_RESERVE || 0.2); // 20% kept for interactive
+    this.maxRetries = parseInt(process.env.BETSAPI_MAX_RETRIES || 3);
+    this.retryBaseDelay = parseInt(process.env.BETSAPI_RETRY_BASE_MS || 500);
+    this.retryMaxDelay = parseInt(process.env.BETSAPI_RETRY_MAX_MS || 10000);
+
+    this.queues = { interactive: [], background: [] };
+    this.lastStartedAt = 0;
+    this.timer = null;
+
+    this.usage = { day: this.currentDay(), used: 0 };
+    this.stats = { scheduled: 0, retries: 0, rejected: 0 };
+  }
+
+  /**
+   * Minimum time between two upstream calls
+   */
+  get interval() {
+    return this.requestsPerSecond > 0 ? 1000 / this.requestsPerSecond : 0;
+  }
+
+  currentDay() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * Reset the usage counter when the UTC day rolls over
+   */
+  rollQuotaWindow() {
+    const today = this.currentDay();
+    if (this.usage.day !== today) {
+      this.usage = { day: today, used: 0 };
+    }
+  }
+
+  secondsUntilReset() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+  }
+
+  /**
+   * Remaining daily quota for a given priority.
+   * Background work cannot dip into the reserve kept for interactive traffic.
+   */
+  getRemainingQuota(priority = 'interactive') {
+    this.rollQuotaWindow();
+    const remaining = Math.max(this.dailyQuota - this.usage.used, 0);
+
+    if (priority === 'background') {
+      const reserve = Math.ceil(this.dailyQuota * this.backgroundReserve);
+      return Math.max(remaining - reserve, 0);
+    }
+
+    return remaining;
+  }
+
+  hasQuota(priority = 'interactive') {
+    return this.getRemainingQuota(priority) > 0;
+  }
+
+  /**
+   * Sync usage with BetsAPI's own rate-limit headers when it sends them
+   */
+  recordUpstreamHeaders(headers = {}) {
+    const limit = parseInt(headers['x-ratelimit-limit']);
+    const remaining = parseInt(headers['x-ratelimit-remaining']);
+
+    if (!isNaN(limit) && !isNaN(remaining) && limit === this.dailyQuota) {
+      this.usage.used = Math.max(this.usage.used, limit - remaining);
+    }
+  }
+
+  /**
+   * Quota and queue snapshot for health checks and graceful degradation
+   */
+  getStatus() {
+    this.rollQuotaWindow();
+    return {
+      requests_per_second: this.requestsPerSecond,
+      daily_quota: this.dailyQuota,
+      used_today: this.usage.used,
+      remaining: this.getRemainingQuota('interactive'),
+      remaining_background: this.getRemainingQuota('background'),
+      resets_in_seconds: this.secondsUntilReset(),
+      queued: {
+        interactive: this.queues.interactive.length,
+        background: this.queues.background.length
+      },
+      scheduled: this.stats.scheduled,
+      retries: this.stats.retries,
+      rejected: this.stats.rejected
+    };
+  }
+
+  /**
+   * Schedule an upstream call
+   * @param {Function} task - async function performing exactly one upstream request
+   * @param {Object} options - { priority: 'interactive' | 'background', label }
+   */
+  schedule(task, { priority = 'interactive', label = 'request' } = {}) {
+    if (!PRIORITIES.includes(priority)) {
+      priority = 'interactive';
+    }
+
+    this.stats.scheduled++;
+
+    return new Promise((resolve, reject) => {
+      // Bind the task to the caller's async context so its request ID survives the queue
+      const bound = AsyncResource.bind(task);
+      this.queues[priority].push({ task: bound, priority, label, attempt: 0, resolve, reject });
+      this.pump();
+    });
+  }
+
+  nextJob() {
+    return this.queues.interactive.shift() || this.queues.background.shift();
+  }
+
+  /**
+   * Start queued jobs as fast as the rate limit allows
+   */
+  pump() {
+    if (this.timer) return;
+
+    while (this.queues.interactive.length > 0 || this.queues.background.length > 0) {
+      const wait = this.lastStartedAt + this.interval - Date.now();
+      if (wait > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, wait);
+        return;
+      }
+
+      const job = this.nextJob();
+
+      if (!this.hasQuota(job.priority)) {
+        this.stats.rejected++;
+        log.warn('betsapi quota exhausted', { priority: job.priority, endpoint: job.label });
+        job.reject(new QuotaExhaustedError(
+          `BetsAPI daily quota exhausted (${this.usage.used}/${this.dailyQuota})`,
+          this.secondsUntilReset()
+        ));
+        continue;
+      }
+
+      this.lastStartedAt = Date.now();
+      this.usage.used++;
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      if (this.isTransient(error) && job.attempt < this.maxRetries) {
+        job.attempt++;
+        this.stats.retries++;
+
+        const delay = this.backoffDelay(job.attempt, error);
+        log.warn('retrying betsapi call', {
+          endpoint: job.label,
+          attempt: job.attempt,
+          max_retries: this.maxRetries,
+          delay_ms: delay,
+          error: error.message
+        });
+
+        setTimeout(() => {
+          // Retries go to the front of their queue so they are not starved by new work
+          this.queues[job.priority].unshift(job);
+          this.pump();
+        }, delay);
+        return;
+      }
+
+      job.reject(error);
+    }
+  }
+
+  /**
+   * Network blips, rate limiting and server errors are worth retrying;
+   * 4xx responses and bad data are not
+   */
+  isTransient(error) {
+    const status = error.response?.status || error.status;
+
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+
+    return TRANSIENT_NETWORK_CODES.includes(error.code);
+  }
+
+  /**
+   * Full-jitter exponential backoff, honouring Retry-After on 429s
+   */
+  backoffDelay(attempt, error) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (!isNaN(retryAfter)) {
+      return Math.min(retryAfter * 1000, this.retryMaxDelay);
+    }
+
+    const ceiling = Math.min(this.retryBaseDelay * Math.pow(2, attempt), this.retryMaxDelay);
+    return Math.round(Math.random() * ceiling);
+  }
+}
+
+export default new UpstreamSchedulerService();
@@ -0,0 +1,74 @@
+/**
+ * Settlement of total and handicap bets on any line.
+ *
+ * Whole lines push on an exact result, half lines cannot push, and quarter lines
+ * (2.25, -0.75, ...) are two half-stakes on the neighbouring lines (2.0 + 2.5),
+ * which gives half-win and half-loss results.
+ */
+
+export const SETTLEMENTS = ['win', 'half_win', 'push', 'half_loss', 'loss'];
+
+/**
+ * Lines each half of the stake is settled on: [2.25] -> [2.0, 2.5], [2.5] -> [2.5, 2.5]
+ */
+export const splitLine = (line) => {
+  const quarters = Math.round(line * 4);
+  if (quarters % 2 === 0) return [line, line];
+  return [(quarters - 1) / 4, (quarters + 1) / 4];
+};
+
+/**
+ * Probability of each settlement for a bet on a discrete distribution
+ * @param {Array} distribution - [value, probability] pairs
+ * @param {number} line - whole, half or quarter line
+ * @param {Function} margin - (value, line) => > 0 wins, 0 pushes, < 0 loses a single bet on `line`
+ */
+export const settleLine = (distribution, line, margin) => {
+  const [low, high] = splitLine(line);
+  // Indexed by the sum of the two half-stakes' signs: -2 (loss) ... 2 (win)
+  const byScore = [0, 0, 0, 0, 0];
+
+  for (const [value, probability] of distribution) {
+    byScore[Math.sign(margin(value, low)) + Math.sign(margin(value, high)) + 2] += probability;
+  }
+
+  return { win: byScore[4], half_win: byScore[3], push: byScore[2], half_loss: byScore[1], loss: byScore[0] };
+};
+
+/**
+ * Over/under settlements for a total line
+ * @param {Array} distribution - [total, probability] pairs
+ */
+export const settleTotal = (distribution, line) => ({
+  over: settleLine(distribution, line, (total, l) => total - l),
+  under: settleLine(distribution, line, (total, l) => l - total)
+});
+
+/**
+ * Home/away settlements for a handicap given from the home side (-0.5 = home gives half a goal)
+ * @param {Array} distribution - [home minus away, probability] pairs
+ */
+export const settleHandicap = (distribution, line) => ({
+  home: settleLine(distribution, line, (diff, l) => diff + l),
+  away: settleLine(distribution, line, (diff, l) => -diff - l)
+});
+
+/**
+ * Expected profit per unit staked at decimal `odds`
+ */
+export const expectedReturn = (outcomes, odds) =>
+  outcomes.win * (odds - 1) +
+  outcomes.half_win * (odds - 1) / 2 -
+  outcomes.half_loss / 2 -
+  outcomes.loss;
+
+/**
+ * Decimal odds at which the bet breaks even (pushes are stake returned, so they drop out);
+ * null when the bet cannot win
+ */
+export const fairLineOdds = (outcomes) => {
+  const winning = outcomes.win + outcomes.half_win / 2;
+  const losing = outcomes.loss + outcomes.half_loss / 2;
+  if (winning <= 0) return null;
+  return 1 + losing / winning;
+};
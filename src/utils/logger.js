@@ -0,0 +1,121 @@
+import dotenv from 'dotenv';
+import { getRequestContext } from '../middleware/request-context.js';
+
+dotenv.config();
+
+/**
+ * Logger
+ * Levelled, structured logging with automatic secret redaction.
+ *
+ *   LOG_LEVEL  - debug | info | warn | error (default: info)
+ *   LOG_FORMAT - json | pretty (default: json in production, pretty otherwise)
+ *
+ * Every line carries the current request ID when logged while handling a request.
+ * Full upstream payloads are only ever logged at debug level.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_KEY_PATTERN = /token|api[-_]?key|secret|password|authorization|cookie/i;
+const SECRET_QUERY_PATTERN = /([?&](?:token|api_?key)=)[^&\s"]+/gi;
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+/**
+ * Deep-copy a value with secrets replaced: sensitive keys are masked and
+ * token query params inside strings (e.g. request URLs) are stripped
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    const apiKey = process.env.BETSAPI_KEY;
+    const stripped = value.replace(SECRET_QUERY_PATTERN, `$1${REDACTED}`);
+    return apiKey ? stripped.split(apiKey).join(REDACTED) : stripped;
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redact(value.message),
+      ...(value.code && { code: value.code }),
+      ...(value.status && { status: value.status }),
+      stack: redact(value.stack)
+    };
+  }
+
+  if (!value || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item, depth + 1);
+  });
+  return copy;
+}
+
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+    this.level = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+    this.format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+  }
+
+  /**
+   * Logger with extra fields attached to every line (e.g. { service: 'betsapi' })
+   */
+  child(bindings) {
+    const child = new Logger({ ...this.bindings, ...bindings });
+    child.level = this.level;
+    child.format = this.format;
+    return child;
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const requestId = getRequestContext()?.requestId;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...(requestId && { request_id: requestId }),
+      ...this.bindings,
+      ...fields
+    });
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+    if (this.format === 'json') {
+      stream.write(`${JSON.stringify(entry)}\n`);
+      return;
+    }
+
+    const { time, level: lvl, msg, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    stream.write(`${time} ${lvl.toUpperCase().padEnd(5)} ${msg}${extra}\n`);
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+}
+
+export default new Logger();
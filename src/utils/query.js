@@ -0,0 +1,20 @@
+import dayjs from 'dayjs';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split a comma-separated query value ("1,2,3") into trimmed parts
+ */
+export const parseList = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+
+/**
+ * Parse a date query param into unix seconds.
+ * Date-only values cover the whole day: start of day for `from`, end of day for `to`.
+ */
+export const parseDate = (value, edge) => {
+  if (!value) return null;
+  const date = dayjs(value);
+  if (!date.isValid()) return NaN;
+  const bounded = DATE_ONLY.test(value) ? (edge === 'end' ? date.endOf('day') : date.startOf('day')) : date;
+  return bounded.unix();
+};
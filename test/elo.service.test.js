@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'elo-test-'));
+process.env.ELO_FILE = path.join(dir, 'elo-history.jsonl');
+process.env.RESULTS_FILE = path.join(dir, 'results.jsonl');
+process.env.LOG_LEVEL = 'error';
+
+const { default: eloService } = await import('../src/services/elo.service.js');
+
+const result = (matchId, startTime, leagueId, homeGoals, awayGoals) => ({
+  match_id: matchId,
+  league_id: leagueId,
+  start_time: startTime,
+  home: { id: '10', name: 'Alpha FC' },
+  away: { id: '20', name: 'Beta FC' },
+  score: { home: homeGoals, away: awayGoals }
+});
+
+test('a result ingested after a later-played match keeps its rating change', () => {
+  const saturday = 1700000000;
+  const tuesday = saturday - 4 * 86400;
+
+  // League match on Saturday is ingested first, the cup tie on the Tuesday before it second
+  const [league] = eloService.processResult(result('league-sat', saturday, '94', 2, 0));
+  const [cup] = eloService.processResult(result('cup-tue', tuesday, '1040', 1, 0));
+
+  assert.equal(cup.rating_before, league.rating_after);
+
+  const history = eloService.getHistory('10');
+  assert.deepEqual(history.history.map(entry => entry.match_id), ['league-sat', 'cup-tue']);
+  assert.equal(history.history[1].rating_before, history.history[0].rating_after);
+
+  const rating = eloService.getRating('10');
+  assert.equal(rating.rating, cup.rating_after);
+  assert.equal(rating.rating, league.rating_before + league.change + cup.change);
+  assert.equal(eloService.ratings.get('10').updated_time, saturday);
+});
+
+test.after(() => {
+  eloService.history.flush();
+  fs.rmSync(dir, { recursive: true, force: true });
+});